@@ -1,19 +1,91 @@
 import {
-  fetchEpisodes,
-  fetchShow,
-  computeNextEpisode,
-  isFetchStale
-} from "./tvmazeApi.js";
+  NOTIFICATION_SETTINGS_KEY,
+  syncEpisodeAlarms,
+  handleEpisodeAlarm,
+  handleNotificationClick
+} from "./notifications.js";
+import {
+  BADGE_MODE_KEY,
+  updateBadge
+} from "./badge.js";
+import { dedupeShows, mergeRefreshedShow, updateTrackedShow } from "./showIdentity.js";
+import { OUTBOX_RETRY_ALARM, queueShowChanges, syncStoredTarget } from "./supabaseSync.js";
+import { getShowProvider } from "./providers.js";
+import { pruneEpisodeCache } from "./episodeCache.js";
+import { takeDailySnapshots } from "./showSnapshots.js";
+
+// Pull other devices' changes and push this one's even when the popup is closed
+const SUPABASE_SYNC_ALARM = "supabaseSync";
+const SUPABASE_SYNC_PERIOD_MINUTES = 15;
 
 chrome.runtime.onInstalled.addListener(() => {
   chrome.alarms.create("refreshShowsDaily", {
     periodInMinutes: 60 * 2
   });
+  chrome.alarms.create(SUPABASE_SYNC_ALARM, {
+    periodInMinutes: SUPABASE_SYNC_PERIOD_MINUTES
+  });
+  syncEpisodeAlarms();
+  updateBadge();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  syncEpisodeAlarms();
+  updateBadge();
+  syncWithSupabase();
 });
 
-chrome.alarms.onAlarm.addListener((alarm) => {
+chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name === "refreshShowsDaily") {
-    refreshAllShows();
+    // Before the refresh rewrites the lists
+    try {
+      await takeDailySnapshots();
+    } catch (err) {
+      console.error("Failed to take daily snapshots", err);
+    }
+    await refreshAllShows();
+    await syncWithSupabase();
+    await syncEpisodeAlarms();
+    await updateBadge();
+    return;
+  }
+
+  // Periodic sync, or a retry of changes queued while offline
+  if (alarm.name === SUPABASE_SYNC_ALARM || alarm.name === OUTBOX_RETRY_ALARM) {
+    await syncWithSupabase();
+    return;
+  }
+
+  if (await handleEpisodeAlarm(alarm)) {
+    await updateBadge();
+  }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  handleNotificationClick(notificationId);
+});
+
+// Re-schedule episode alarms and recount the badge when the popup adds,
+// removes, mutes or refreshes shows, or changes notification/badge settings
+let alarmSyncTimeout = null;
+let badgeUpdateTimeout = null;
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local") return;
+  const keys = Object.keys(changes);
+  const showsChanged = keys.some(key => key.startsWith("shows_") && !key.endsWith("_ids"));
+
+  if (showsChanged || keys.includes(NOTIFICATION_SETTINGS_KEY)) {
+    clearTimeout(alarmSyncTimeout);
+    alarmSyncTimeout = setTimeout(() => {
+      syncEpisodeAlarms().catch(err => console.error("Failed to sync episode alarms", err));
+    }, 500);
+  }
+
+  if (showsChanged || keys.includes(BADGE_MODE_KEY)) {
+    clearTimeout(badgeUpdateTimeout);
+    badgeUpdateTimeout = setTimeout(() => {
+      updateBadge().catch(err => console.error("Failed to update badge", err));
+    }, 500);
   }
 });
 
@@ -26,69 +98,60 @@ async function refreshAllShows() {
 
   if (userShowKeys.length === 0) return;
 
+  const trackedTvmazeIds = [];
+
   for (const userKey of userShowKeys) {
     const shows = Array.isArray(localData[userKey]) ? localData[userKey] : [];
     if (!shows.length) continue;
 
-    const updated = [];
+    const refreshedById = new Map();
 
     for (const show of shows) {
-      let updatedShow = { ...show };
-
+      // Each show's provider (TVmaze, Wikidata, Jikan) fetches its own data;
+      // needsRefresh marks shows synced from another device for a full rebuild
       try {
-        const showIdStr = String(show.id);
-        if (showIdStr.startsWith("wd-") || showIdStr.startsWith("jikan-")) {
-          updated.push(updatedShow);
-          continue;
-        }
-
-        if (show.contentType === "movies") {
-          updated.push(updatedShow);
-          continue;
-        }
-
-        // Full refresh for shows synced from another device (needsRefresh flag)
-        if (show.needsRefresh) {
-          const showInfo = await fetchShow(show.id);
-          if (showInfo) {
-            updatedShow = {
-              ...updatedShow,
-              name: showInfo.name || updatedShow.name,
-              image: showInfo.image?.medium || showInfo.image?.original || null,
-              genres: showInfo.genres || [],
-              status: showInfo.status || "Unknown",
-              summary: showInfo.summary ? showInfo.summary.replace(/<[^>]+>/g, "") : "",
-              needsRefresh: false
-            };
-          }
-        }
-
-        if (!isFetchStale(show.allEpisodesLastFetchedAt) && !show.needsRefresh) {
-          updated.push(updatedShow);
-          continue;
-        }
-
-        const episodes = await fetchEpisodes(show.id);
-        const nextEpisode = computeNextEpisode(episodes);
-        updatedShow = {
-          ...updatedShow,
-          nextEpisode,
-          allEpisodesLastFetchedAt: new Date().toISOString(),
-          needsRefresh: false
-        };
+        refreshedById.set(String(show.id), { original: show, refreshed: await updateTrackedShow(show) });
       } catch (err) {
         console.error("Failed to refresh show", show.id, err);
       }
-
-      updatedShow.watched = show.watched;
-      updatedShow.watchedAt = show.watchedAt;
-
-      updated.push(updatedShow);
     }
 
+    // The popup, a sync or a realtime change may have saved the list while
+    // the shows were fetching: apply the refreshes to the list as it is now,
+    // without bringing back removed shows or overwriting newer edits
+    const stored = await chrome.storage.local.get(userKey);
+    const current = Array.isArray(stored[userKey]) ? stored[userKey] : [];
+    const updated = current.map(show => {
+      const refresh = refreshedById.get(String(show.id));
+      return refresh ? mergeRefreshedShow(refresh.original, refresh.refreshed, show) : show;
+    });
+
     // Save full data to local
-    await chrome.storage.local.set({ [userKey]: updated });
+    const deduped = dedupeShows(updated);
+    await chrome.storage.local.set({ [userKey]: deduped });
+    trackedTvmazeIds.push(...deduped.filter(show => getShowProvider(show).id === "tvmaze").map(show => show.id));
+
+    // Merged duplicates and shows re-keyed to a TVmaze id change which rows
+    // Supabase should hold
+    const oldIds = new Set(current.map(show => String(show.id)));
+    const newIds = new Set(deduped.map(show => String(show.id)));
+    await queueShowChanges(userKey, {
+      removedShows: current.filter(show => !newIds.has(String(show.id))),
+      changedShows: deduped.filter(show => !oldIds.has(String(show.id)))
+    });
+  }
+
+  try {
+    await pruneEpisodeCache(trackedTvmazeIds);
+  } catch (err) {
+    console.error("Failed to prune episode cache", err);
+  }
+}
 
-    // Supabase sync happens in popup using the authenticated client
+async function syncWithSupabase() {
+  try {
+    await syncStoredTarget();
+  } catch (err) {
+    console.error("Supabase background sync failed", err);
   }
 }
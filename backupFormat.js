@@ -0,0 +1,286 @@
+// The backup file written by Export Shows and read by Import. BACKUP_SCHEMA
+// is the format's JSON Schema; readBackup migrates files from every earlier
+// version to the current one and checks each show against the schema, so a
+// bad entry is reported and skipped instead of being saved half-formed.
+//
+// Versions:
+//   0    Bare array of compressed sync items: [id, name, type, watched, priority]
+//        arrays or { id, n, t, w, p } objects
+//   1.0  Bare array of shows, or { version: "1.0", shows }
+//   1.1  { version, exportedAt, exportedBy, showCount, shows } with a fixed
+//        set of fields per show
+//   1.2  As 1.1, with every show field except device-local sync state
+
+import { getShowProvider } from "./providers.js";
+import { getExternalIds } from "./showIdentity.js";
+
+export const BACKUP_VERSION = "1.2";
+
+// Sync bookkeeping for this device's copy; imports are stamped afresh
+const DEVICE_FIELDS = ["fieldUpdatedAt", "syncedAt", "needsRefresh"];
+
+const nullable = (type) => ({ type: [type, "null"] });
+
+const SHOW_SCHEMA = {
+  type: "object",
+  required: ["id", "name", "contentType"],
+  properties: {
+    id: { type: ["string", "integer"] },
+    name: { type: "string", minLength: 1 },
+    contentType: { enum: ["tv", "anime", "movies"] },
+    provider: { enum: ["tvmaze", "wikidata", "jikan"] },
+    image: nullable("string"),
+    genres: { type: "array", items: { type: "string" } },
+    status: nullable("string"),
+    summary: nullable("string"),
+    premiered: nullable("string"),
+    nextEpisode: nullable("object"),
+    lastAiredEpisode: nullable("object"),
+    allEpisodesLastFetchedAt: nullable("string"),
+    releaseDates: nullable("object"),
+    nextRelease: nullable("object"),
+    releaseDatesFetchedAt: nullable("string"),
+    watchLink: nullable("string"),
+    priority: { type: "boolean" },
+    watched: { type: "boolean" },
+    watchedAt: nullable("string"),
+    watchedEpisode: { type: "integer", minimum: 0 },
+    watchedEpisodes: { type: ["object", "null"], additionalProperties: { type: "string" } },
+    watchProgress: nullable("object"),
+    lastWatchedAt: nullable("string"),
+    notes: nullable("string"),
+    reminderLeadTimes: { type: "array", items: { type: "integer", minimum: 0 } },
+    muted: { type: "boolean" },
+    addedAt: nullable("string"),
+    externalIds: { type: "object", additionalProperties: { type: ["string", "integer"] } }
+  }
+};
+
+export const BACKUP_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Episode Countdown backup",
+  type: "object",
+  required: ["version", "shows"],
+  properties: {
+    version: { const: BACKUP_VERSION },
+    exportedAt: { type: "string" },
+    exportedBy: { type: "string" },
+    showCount: { type: "integer", minimum: 0 },
+    shows: { type: "array", items: SHOW_SCHEMA }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// The subset of JSON Schema the backup schema uses: type, enum, const,
+// required, properties, additionalProperties, items, minLength and minimum
+function validateValue(value, schema, path, errors) {
+  const at = path || "value";
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(", ")}`);
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (typeof value === "string" && schema.minLength && value.length < schema.minLength) {
+    errors.push(`${at}: must not be empty`);
+  }
+  if (typeof value === "number" && schema.minimum != null && value < schema.minimum) {
+    errors.push(`${at}: must be at least ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validateValue(item, schema.items, `${path}[${i}]`, errors));
+  } else if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ""}${key}: required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const itemSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (item !== undefined && typeof itemSchema === "object") {
+        validateValue(item, itemSchema, path ? `${path}.${key}` : key, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Check a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - BACKUP_SCHEMA or part of it
+ * @returns {string[]} - Problems, each prefixed with the path of the bad value
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateValue(value, schema, "", errors);
+  return errors;
+}
+
+function isCompressedShow(item) {
+  return Array.isArray(item) || Boolean(item && typeof item === "object" && !("name" in item) && ("n" in item || "t" in item));
+}
+
+/**
+ * Expand a compressed sync item into a show to be refetched
+ * @param {Array|Object} item - [id, name, type, watched, priority] or { id, n, t, w, p }
+ * @returns {Object}
+ */
+export function expandCompressedShow(item) {
+  if (Array.isArray(item)) {
+    return {
+      id: item[0],
+      name: item[1] || "Loading...",
+      contentType: item[2] === "m" ? "movies" : (item[2] === "a" ? "anime" : "tv"),
+      image: null,
+      genres: [],
+      status: "Unknown",
+      summary: "",
+      nextEpisode: null,
+      watched: item[3] === 1,
+      watchedAt: null,
+      priority: item[4] === 1,
+      needsRefresh: true
+    };
+  }
+  return {
+    id: item.id,
+    name: item.n || "Loading...",
+    contentType: item.t || "tv",
+    image: null,
+    genres: [],
+    status: "Unknown",
+    summary: "",
+    nextEpisode: null,
+    watched: item.w || false,
+    watchedAt: null,
+    priority: item.p || false,
+    needsRefresh: true
+  };
+}
+
+// 1.0 shows were saved as stored at the time; 1.1 always wrote these fields
+function migrateShowTo11(show) {
+  if (!show || typeof show !== "object") return show;
+  return {
+    ...show,
+    // Raw TVmaze image objects from early versions
+    image: show.image && typeof show.image === "object"
+      ? show.image.medium || show.image.original || null
+      : show.image ?? null,
+    name: show.name || "Unknown Show",
+    contentType: show.contentType || "tv",
+    genres: Array.isArray(show.genres) ? show.genres : [],
+    status: show.status || "Unknown",
+    summary: show.summary || "",
+    priority: Boolean(show.priority),
+    watched: Boolean(show.watched),
+    watchedEpisode: Number.isInteger(show.watchedEpisode) ? show.watchedEpisode : 0
+  };
+}
+
+// 1.1 predates the provider field for some files and kept the legacy
+// tvmazeId/imdbId/malId fields next to externalIds. The 1.1 importer filled
+// in missing fields, so hand-edited 1.1 files still get those defaults.
+function migrateShowTo12(show) {
+  if (!show || typeof show !== "object" || show.id == null) return show;
+  return {
+    ...migrateShowTo11(show),
+    provider: getShowProvider(show).id,
+    externalIds: getExternalIds(show)
+  };
+}
+
+// Each step upgrades the shows of one version to the next
+const MIGRATIONS = [
+  { from: "0", to: "1.0", migrate: shows => shows.map(item => (isCompressedShow(item) ? expandCompressedShow(item) : item)) },
+  { from: "1.0", to: "1.1", migrate: shows => shows.map(migrateShowTo11) },
+  { from: "1.1", to: "1.2", migrate: shows => shows.map(migrateShowTo12) }
+];
+
+function detectVersion(data) {
+  if (Array.isArray(data)) return data.some(isCompressedShow) ? "0" : "1.0";
+  return typeof data.version === "string" ? data.version : "1.0";
+}
+
+/**
+ * Backup of the tracked list in the current format
+ * @param {Object[]} shows - Tracked shows
+ * @param {string} exportedBy - Name of the exporting user
+ * @returns {Object} - Matches BACKUP_SCHEMA
+ */
+export function createBackup(shows, exportedBy) {
+  return {
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    exportedBy,
+    showCount: shows.length,
+    shows: shows.map(show => {
+      const copy = { ...show };
+      for (const field of DEVICE_FIELDS) delete copy[field];
+      return copy;
+    })
+  };
+}
+
+/**
+ * Migrate a parsed backup file to the current version and validate it
+ * @param {*} data - Parsed JSON
+ * @returns {{version: string|null, shows: Object[], problems: Array<{index: number, name: string, errors: string[]}>, error: string|null}}
+ *   version is the file's own version; shows are the valid ones, migrated.
+ *   error is set when the file as a whole can't be read.
+ */
+export function readBackup(data) {
+  const fail = (error, version = null) => ({ version, shows: [], problems: [], error });
+
+  if (!data || typeof data !== "object") return fail("Not a backup file.");
+
+  const version = detectVersion(data);
+  const start = version === BACKUP_VERSION ? MIGRATIONS.length : MIGRATIONS.findIndex(step => step.from === version);
+  if (start === -1) {
+    return fail(`Unknown backup version "${version}". It may come from a newer version of the extension.`, version);
+  }
+
+  let shows = Array.isArray(data) ? data : data.shows;
+  if (!Array.isArray(shows)) return fail("The file has no shows list.", version);
+
+  for (const step of MIGRATIONS.slice(start)) {
+    shows = step.migrate(shows);
+  }
+
+  const envelopeErrors = validateAgainstSchema(
+    Array.isArray(data) ? { version: BACKUP_VERSION, shows: [] } : { ...data, version: BACKUP_VERSION, shows: [] },
+    BACKUP_SCHEMA
+  );
+  if (envelopeErrors.length) return fail(`Invalid backup file: ${envelopeErrors.join("; ")}`, version);
+
+  const valid = [];
+  const problems = [];
+  shows.forEach((show, index) => {
+    const errors = validateAgainstSchema(show, SHOW_SCHEMA);
+    if (errors.length) {
+      problems.push({ index, name: (show && typeof show.name === "string" && show.name) || `Show ${index + 1}`, errors });
+    } else {
+      valid.push(show);
+    }
+  });
+
+  return { version, shows: valid, problems, error: null };
+}
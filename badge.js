@@ -0,0 +1,80 @@
+// Toolbar badge for the background service worker.
+// Counts tracked shows either airing in the next 24 hours or with aired
+// episodes the user hasn't marked watched.
+
+export const BADGE_MODE_KEY = "badgeMode";
+
+export const BADGE_MODES = {
+  airingToday: "airing-today",
+  unwatched: "unwatched",
+  off: "off"
+};
+
+const DEFAULT_BADGE_MODE = BADGE_MODES.airingToday;
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const BADGE_COLORS = {
+  [BADGE_MODES.airingToday]: "#6c8cff",
+  [BADGE_MODES.unwatched]: "#22c55e"
+};
+
+/**
+ * Count tracked shows for the given badge mode
+ * @param {Object[]} shows - Tracked shows (may contain the same show twice)
+ * @param {string} mode - One of BADGE_MODES
+ * @returns {number}
+ */
+export function countBadgeShows(shows, mode) {
+  const now = Date.now();
+  const counted = new Set();
+
+  for (const show of shows) {
+    if (!show || show.contentType === "movies") continue;
+    const id = String(show.id);
+    if (counted.has(id)) continue;
+
+    if (mode === BADGE_MODES.airingToday) {
+      const airTime = Date.parse(show.nextEpisode?.airstamp || "");
+      if (!Number.isNaN(airTime) && airTime > now && airTime - now <= ONE_DAY_MS) {
+        counted.add(id);
+      }
+    } else if (mode === BADGE_MODES.unwatched) {
+      // watchProgress is recomputed from the episode list on every refresh
+      if (show.watchProgress?.unwatchedAired > 0) {
+        counted.add(id);
+      }
+    }
+  }
+
+  return counted.size;
+}
+
+export async function getBadgeMode() {
+  const data = await chrome.storage.local.get(BADGE_MODE_KEY);
+  const mode = data[BADGE_MODE_KEY];
+  return Object.values(BADGE_MODES).includes(mode) ? mode : DEFAULT_BADGE_MODE;
+}
+
+export async function updateBadge() {
+  const localData = await chrome.storage.local.get(null);
+  const mode = await getBadgeMode();
+
+  if (mode === BADGE_MODES.off) {
+    await chrome.action.setBadgeText({ text: "" });
+    return;
+  }
+
+  const shows = Object.keys(localData || {})
+    .filter(key => key.startsWith("shows_") && !key.endsWith("_ids"))
+    .flatMap(key => (Array.isArray(localData[key]) ? localData[key] : []));
+
+  const count = countBadgeShows(shows, mode);
+
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[mode] });
+  await chrome.action.setBadgeText({ text: count > 0 ? (count > 99 ? "99+" : String(count)) : "" });
+  await chrome.action.setTitle({
+    title: count > 0
+      ? `Episode Countdown – ${count} ${mode === BADGE_MODES.unwatched ? "with unwatched episodes" : "airing today"}`
+      : "Episode Countdown"
+  });
+}
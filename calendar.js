@@ -0,0 +1,155 @@
+// Calendar of upcoming episodes and releases across the tracked list.
+// Everything is laid out by the local calendar day of each airstamp, so an
+// episode airing 02:00 UTC shows up on the previous day in the Americas.
+
+import { RELEASE_TYPES, RELEASE_TYPE_LABELS } from "./wikidataApi.js";
+
+export const CALENDAR_MODES = {
+  week: 7,
+  month: 30
+};
+
+/**
+ * Local "YYYY-MM-DD" of a date
+ * @param {Date|number|string} value - Date, timestamp or ISO string
+ * @returns {string}
+ */
+export function getLocalDateKey(value) {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+function startOfLocalDay(value) {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+function addDays(date, days) {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+}
+
+/**
+ * Time range a calendar mode covers: today through the next 7 or 30 days
+ * @param {string} mode - "week" or "month"
+ * @param {number} now - Current timestamp
+ * @returns {{start: Date, end: Date, days: Date[]}} - end is exclusive
+ */
+export function getCalendarRange(mode, now = Date.now()) {
+  const start = startOfLocalDay(now);
+  const length = CALENDAR_MODES[mode] || CALENDAR_MODES.week;
+  const days = Array.from({ length }, (_, i) => addDays(start, i));
+  return { start, end: addDays(start, length), days };
+}
+
+/**
+ * Whole weeks (Sunday first) covering a range's days, for the month grid.
+ * Cells outside the range are null.
+ * @param {Date[]} days - Days from getCalendarRange
+ * @returns {Array<Array<Date|null>>}
+ */
+export function getCalendarWeeks(days) {
+  if (!days.length) return [];
+  const cells = [...Array(days[0].getDay()).fill(null), ...days];
+  while (cells.length % 7) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+}
+
+/**
+ * Whether a show can have anything in the range. Shows whose next episode is
+ * unknown or after the range have nothing to place, so their episode lists
+ * need not be loaded.
+ * @param {Object} show - Tracked show
+ * @param {{start: Date, end: Date}} range - From getCalendarRange
+ * @returns {boolean}
+ */
+export function hasEntriesInRange(show, range) {
+  const next = show.contentType === "movies" ? show.nextRelease : show.nextEpisode;
+  const time = Date.parse(next?.airstamp || "");
+  if (Number.isNaN(time)) return false;
+  // A next episode already in the past means the stored data is behind, so
+  // later episodes may fall in the range too
+  return time < range.end.getTime();
+}
+
+function releaseEntries(show, range) {
+  const entries = [];
+  for (const type of RELEASE_TYPES) {
+    const release = show.releaseDates?.[type];
+    // Only day-precision dates can go on a day
+    if (!release || release.precision !== "day") continue;
+    const [year, month, day] = release.date.split("-").map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date < range.start || date >= range.end) continue;
+    entries.push({
+      show,
+      kind: "release",
+      label: RELEASE_TYPE_LABELS[type],
+      time: date.getTime(),
+      allDay: true
+    });
+  }
+  return entries;
+}
+
+// An episode without a season number is labelled by its number alone
+function formatEpisodeLabel(ep) {
+  if (typeof ep.number !== "number") return "Special";
+  return typeof ep.season === "number" ? `S${ep.season}E${ep.number}` : `Episode ${ep.number}`;
+}
+
+function episodeEntries(show, episodes, range) {
+  return episodes
+    .filter(ep => ep.airstamp)
+    .map(ep => ({ ep, time: Date.parse(ep.airstamp) }))
+    .filter(({ time }) => time >= range.start.getTime() && time < range.end.getTime())
+    .map(({ ep, time }) => ({
+      show,
+      kind: "episode",
+      label: formatEpisodeLabel(ep),
+      title: ep.name || "",
+      time,
+      allDay: false
+    }));
+}
+
+/**
+ * Calendar entries for the tracked list, grouped by local day
+ * @param {Object[]} shows - Tracked shows
+ * @param {Map<string, Object[]>} episodesByShow - show id -> episode list. A
+ *   show without one is placed by its stored nextEpisode only.
+ * @param {{start: Date, end: Date}} range - From getCalendarRange
+ * @returns {Map<string, Object[]>} - Local date key -> entries sorted by time
+ */
+export function buildCalendarEntries(shows, episodesByShow, range) {
+  const byDay = new Map();
+
+  for (const show of shows) {
+    let entries;
+    if (show.contentType === "movies") {
+      entries = releaseEntries(show, range);
+    } else if (episodesByShow.has(String(show.id))) {
+      entries = episodeEntries(show, episodesByShow.get(String(show.id)), range);
+    } else {
+      entries = show.nextEpisode ? episodeEntries(show, [show.nextEpisode], range) : [];
+    }
+
+    for (const entry of entries) {
+      const key = getLocalDateKey(entry.time);
+      if (!byDay.has(key)) byDay.set(key, []);
+      byDay.get(key).push(entry);
+    }
+  }
+
+  for (const entries of byDay.values()) {
+    entries.sort((a, b) => a.time - b.time || a.show.name.localeCompare(b.show.name));
+  }
+  return byDay;
+}
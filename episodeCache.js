@@ -0,0 +1,140 @@
+// TVmaze show details and full episode lists, kept per show in IndexedDB.
+// Cached shows are not refetched on a timer: about once an hour TVmaze's
+// /updates/shows is checked for shows changed since the last check, and only
+// those are dropped and refetched. Refreshing a long list then costs one
+// request plus one per show that actually changed.
+
+import { fetchShowWithEpisodes, fetchShowUpdates } from "./tvmazeApi.js";
+import { idbGet, idbPut, idbDelete, idbGetAllKeys } from "./idbStore.js";
+
+const STORE = "episodes";
+const UPDATES_CHECKED_AT_KEY = "tvmazeUpdatesCheckedAt";
+const UPDATES_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+// Shows are refetched after this long even if TVmaze never listed them as
+// updated, in case a check was missed
+const MAX_RECORD_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// A context checks at most this often, even when a check fails
+const UPDATES_RETRY_MS = 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let updatesCheck = null;
+let lastCheckStartedAt = 0;
+const pendingLoads = new Map();
+
+// Smallest /updates/shows window covering the time since the last check.
+// Anything older than a week is past MAX_RECORD_AGE_MS anyway.
+function getUpdatesWindow(elapsedMs) {
+  return elapsedMs <= DAY_MS ? "day" : "week";
+}
+
+async function checkForUpdates() {
+  const data = await chrome.storage.local.get(UPDATES_CHECKED_AT_KEY);
+  const checkedAt = data[UPDATES_CHECKED_AT_KEY] || 0;
+  const now = Date.now();
+  if (now - checkedAt < UPDATES_CHECK_INTERVAL_MS) return;
+
+  const cachedIds = await idbGetAllKeys(STORE);
+  if (cachedIds.length) {
+    const updates = await fetchShowUpdates(getUpdatesWindow(now - checkedAt));
+    // Retried after UPDATES_RETRY_MS
+    if (!updates) return;
+
+    const changed = [];
+    for (const id of cachedIds.filter(id => updates[id])) {
+      const record = await idbGet(STORE, id);
+      if (record && updates[id] > record.updated) changed.push(id);
+    }
+    if (changed.length) {
+      console.log(`[episodeCache] ${changed.length} cached show(s) changed on TVmaze`);
+      await idbDelete(STORE, changed);
+    }
+  }
+
+  await chrome.storage.local.set({ [UPDATES_CHECKED_AT_KEY]: now });
+}
+
+// One check at a time per context; loads wait for it
+function ensureUpdatesChecked() {
+  if (!updatesCheck && Date.now() - lastCheckStartedAt >= UPDATES_RETRY_MS) {
+    lastCheckStartedAt = Date.now();
+    updatesCheck = checkForUpdates()
+      .catch(err => console.warn("[episodeCache] Update check failed:", err))
+      .then(() => {
+        updatesCheck = null;
+      });
+  }
+  return updatesCheck;
+}
+
+async function fetchRecord(showId) {
+  await ensureUpdatesChecked();
+
+  const current = await idbGet(STORE, showId).catch(() => null);
+  if (current && Date.now() - current.fetchedAt < MAX_RECORD_AGE_MS) return current;
+
+  const info = await fetchShowWithEpisodes(showId);
+  // Offline or TVmaze down: stale data beats none
+  if (!info) return current;
+
+  const { _embedded, ...show } = info;
+  const record = {
+    key: showId,
+    show,
+    episodes: _embedded?.episodes || [],
+    updated: show.updated || 0,
+    fetchedAt: Date.now()
+  };
+  try {
+    await idbPut(STORE, record);
+  } catch (err) {
+    console.warn("[episodeCache] Cache write failed:", err);
+  }
+  return record;
+}
+
+function loadRecord(showId) {
+  const id = Number(showId);
+  if (!pendingLoads.has(id)) {
+    const load = fetchRecord(id);
+    pendingLoads.set(id, load);
+    load.then(
+      () => pendingLoads.delete(id),
+      () => pendingLoads.delete(id)
+    );
+  }
+  return pendingLoads.get(id);
+}
+
+/**
+ * TVmaze show details, from the cache when TVmaze reports no change
+ * @param {number} showId - TVmaze show ID
+ * @returns {Promise<Object|null>} - TVmaze show object
+ */
+export async function getCachedShow(showId) {
+  const record = await loadRecord(showId);
+  return record?.show || null;
+}
+
+/**
+ * A TVmaze show's full episode list, from the cache when TVmaze reports no
+ * change
+ * @param {number} showId - TVmaze show ID
+ * @returns {Promise<Object[]>} - TVmaze episodes
+ */
+export async function getCachedEpisodes(showId) {
+  const record = await loadRecord(showId);
+  return record?.episodes || [];
+}
+
+/**
+ * Drop cached shows that are no longer tracked
+ * @param {Array<number|string>} trackedIds - TVmaze IDs of every tracked show
+ * @returns {Promise<void>}
+ */
+export async function pruneEpisodeCache(trackedIds) {
+  const tracked = new Set(trackedIds.map(Number));
+  const untracked = (await idbGetAllKeys(STORE)).filter(id => !tracked.has(id));
+  if (untracked.length) await idbDelete(STORE, untracked);
+}
@@ -1,88 +1,91 @@
-// Unified genre mapping across all APIs (TVmaze, Jikan, Wikidata)
+// Unified genre mapping across all APIs (TVmaze, Jikan, Wikidata).
+// Wikidata entries are the lower-case stems of its genre labels; the genre
+// items themselves ("science fiction film", "animated film"...) are looked up
+// by wikidataApi.js.
 const GENRE_MAP = {
   "Science Fiction": {
     canonical: "Science Fiction",
     variants: ["Sci-Fi", "Science-Fiction", "SF", "Science fiction", "SciFi"],
     tvmaze: ["Sci-Fi", "Science-Fiction"],
     jikan: ["Sci-Fi"],
-    wikidata: ["Science fiction"]
+    wikidata: ["science fiction", "sci-fi"]
   },
   "Drama": {
     canonical: "Drama",
     variants: ["Drama"],
     tvmaze: ["Drama"],
     jikan: ["Drama"],
-    wikidata: ["Drama"]
+    wikidata: ["drama"]
   },
   "Comedy": {
     canonical: "Comedy",
     variants: ["Comedy"],
     tvmaze: ["Comedy"],
     jikan: ["Comedy"],
-    wikidata: ["Comedy"]
+    wikidata: ["comedy"]
   },
   "Action": {
     canonical: "Action",
     variants: ["Action"],
     tvmaze: ["Action"],
     jikan: ["Action"],
-    wikidata: ["Action"]
+    wikidata: ["action"]
   },
   "Fantasy": {
     canonical: "Fantasy",
     variants: ["Fantasy", "Supernatural"],
     tvmaze: ["Fantasy"],
     jikan: ["Fantasy"],
-    wikidata: ["Fantasy"]
+    wikidata: ["fantasy", "supernatural"]
   },
   "Horror": {
     canonical: "Horror",
     variants: ["Horror"],
     tvmaze: ["Horror"],
     jikan: ["Horror"],
-    wikidata: ["Horror"]
+    wikidata: ["horror"]
   },
   "Thriller": {
     canonical: "Thriller",
     variants: ["Thriller"],
     tvmaze: ["Thriller"],
     jikan: ["Thriller"],
-    wikidata: ["Thriller"]
+    wikidata: ["thriller"]
   },
   "Romance": {
     canonical: "Romance",
     variants: ["Romance", "Romantic"],
     tvmaze: ["Romance"],
     jikan: ["Romance"],
-    wikidata: ["Romance"]
+    wikidata: ["romance", "romantic"]
   },
   "Mystery": {
     canonical: "Mystery",
     variants: ["Mystery"],
     tvmaze: ["Mystery"],
     jikan: ["Mystery"],
-    wikidata: ["Mystery"]
+    wikidata: ["mystery", "detective"]
   },
   "Crime": {
     canonical: "Crime",
     variants: ["Crime"],
     tvmaze: ["Crime"],
     jikan: ["Crime"],
-    wikidata: ["Crime"]
+    wikidata: ["crime"]
   },
   "Adventure": {
     canonical: "Adventure",
     variants: ["Adventure"],
     tvmaze: ["Adventure"],
     jikan: ["Adventure"],
-    wikidata: ["Adventure"]
+    wikidata: ["adventure"]
   },
   "Animation": {
     canonical: "Animation",
     variants: ["Animation", "Animated"],
     tvmaze: ["Animation"],
     jikan: ["Animation"],
-    wikidata: ["Animation"]
+    wikidata: ["animated", "animation"]
   }
 };
 
@@ -184,6 +187,13 @@ export function getApiGenre(canonical, api) {
   return canonical;
 }
 
-
-
-
+/**
+ * Get every API-specific name for a genre
+ * @param {string} canonical - Canonical genre name
+ * @param {string} api - 'tvmaze', 'jikan', or 'wikidata'
+ * @returns {string[]} - API-specific genre names (the canonical name if none)
+ */
+export function getApiGenreVariants(canonical, api) {
+  const apiVariants = GENRE_MAP[canonical]?.[api];
+  return apiVariants?.length ? [...apiVariants] : [canonical];
+}
@@ -0,0 +1,473 @@
+// Watch history from other trackers' exports: Trakt JSON backups, TV Time
+// GDPR export CSVs, IMDb ratings/watchlist CSVs and Letterboxd CSVs. Files
+// are parsed into import items (a title plus whatever ids and watch state the
+// source has), items are matched to TVmaze shows or Wikidata films, and the
+// matches the user keeps after review become tracked shows.
+//
+// Item: { key, kind: "tv"|"movie", title, year, ids: { imdb, thetvdb },
+//         episodes: [{ season, number, watchedAt }], watched, watchedAt, sources }
+
+import { getProvider, mergeExternalIds } from "./providers.js";
+import { getExternalIds } from "./showIdentity.js";
+import { getCachedEpisodes } from "./episodeCache.js";
+
+export const HISTORY_SOURCE_LABELS = {
+  trakt: "Trakt",
+  tvtime: "TV Time",
+  imdb: "IMDb",
+  letterboxd: "Letterboxd"
+};
+
+// Candidates offered for an ambiguous row
+const MAX_CANDIDATES = 5;
+// Items matched at once; the HTTP client queues requests past each host's limit
+const MATCH_CONCURRENCY = 4;
+
+const IMDB_TV_TYPES = ["tvSeries", "tvMiniSeries"];
+const IMDB_MOVIE_TYPES = ["movie", "tvMovie", "video"];
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(value => value.trim()));
+  const columns = header.map(name => name.trim());
+  return {
+    columns,
+    records: body.map(values => Object.fromEntries(columns.map((name, i) => [name, (values[i] || "").trim()])))
+  };
+}
+
+// First non-empty value among a record's column aliases
+function pick(record, names) {
+  for (const name of names) {
+    if (record[name]) return record[name];
+  }
+  return "";
+}
+
+function toIsoDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function toYear(value) {
+  const year = parseInt(String(value || "").slice(0, 4), 10);
+  return Number.isNaN(year) ? null : year;
+}
+
+function normalizeImdbId(value) {
+  const match = String(value || "").match(/tt\d+/);
+  return match ? match[0] : null;
+}
+
+// Comparable form of a title: "The Office (US)" and "office us" agree
+function normalizeTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .replace(/^(the|a|an) /, "");
+}
+
+function createItem(kind, title, year, ids, source) {
+  return {
+    key: ids.imdb ? `imdb:${ids.imdb}` : `${kind}:${normalizeTitle(title)}:${year || ""}`,
+    kind,
+    title,
+    year,
+    ids: Object.fromEntries(Object.entries(ids).filter(([, value]) => value)),
+    episodes: [],
+    watched: false,
+    watchedAt: null,
+    sources: [source]
+  };
+}
+
+function markWatched(item, watchedAt) {
+  item.watched = true;
+  if (watchedAt && (!item.watchedAt || watchedAt > item.watchedAt)) item.watchedAt = watchedAt;
+}
+
+// Fold another source's copy of the same title into an item
+function mergeItem(existing, item) {
+  existing.ids = { ...item.ids, ...existing.ids };
+  existing.year = existing.year || item.year;
+  existing.episodes.push(...item.episodes);
+  if (item.watched) markWatched(existing, item.watchedAt);
+  for (const source of item.sources) {
+    if (!existing.sources.includes(source)) existing.sources.push(source);
+  }
+}
+
+function addEpisode(item, season, number, watchedAt) {
+  if (!Number.isInteger(season) || !Number.isInteger(number)) return;
+  item.episodes.push({ season, number, watchedAt });
+}
+
+function isTraktEntry(entry) {
+  return Boolean(entry && typeof entry === "object" && (entry.show?.title || entry.movie?.title));
+}
+
+// A backup is either one exported list (history, watched shows, watchlist,
+// ratings) or an object of them keyed by file name
+function getTraktEntries(data) {
+  const lists = Array.isArray(data) ? [data] : Object.values(data || {}).filter(Array.isArray);
+  return lists.flat().filter(isTraktEntry);
+}
+
+function parseTrakt(data) {
+  const items = [];
+  for (const entry of getTraktEntries(data)) {
+    const media = entry.show || entry.movie;
+    const item = createItem(
+      entry.show ? "tv" : "movie",
+      media.title,
+      media.year || null,
+      { imdb: normalizeImdbId(media.ids?.imdb), thetvdb: media.ids?.tvdb ? String(media.ids.tvdb) : null },
+      "trakt"
+    );
+    const watchedAt = toIsoDate(entry.watched_at || entry.last_watched_at);
+
+    if (entry.show) {
+      // History: one row per play
+      if (entry.episode) {
+        addEpisode(item, entry.episode.season, entry.episode.number, watchedAt);
+      }
+      // Watched shows: every season with its watched episodes
+      for (const season of entry.seasons || []) {
+        for (const ep of season.episodes || []) {
+          addEpisode(item, season.number, ep.number, toIsoDate(ep.last_watched_at) || watchedAt);
+        }
+      }
+    } else if (watchedAt || entry.plays || entry.rated_at) {
+      // Watchlist entries only have listed_at
+      markWatched(item, watchedAt || toIsoDate(entry.rated_at));
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+function parseTvTime({ columns, records }) {
+  const hasEpisodes = columns.some(name => ["episode_number", "number"].includes(name));
+  return records.map(record => {
+    const title = pick(record, ["tv_show_name", "series_name", "show_name"]);
+    if (!title) return null;
+    const item = createItem("tv", title, null, { thetvdb: pick(record, ["tv_show_id", "tvdb_id"]).match(/^\d+$/)?.[0] }, "tvtime");
+    if (hasEpisodes) {
+      addEpisode(
+        item,
+        parseInt(pick(record, ["episode_season_number", "season_number", "season"]), 10),
+        parseInt(pick(record, ["episode_number", "number"]), 10),
+        toIsoDate(pick(record, ["created_at", "watched_at", "updated_at"]))
+      );
+    }
+    return item;
+  }).filter(Boolean);
+}
+
+function parseImdb({ columns, records }) {
+  // Ratings exports rate what was watched; watchlists list what wasn't
+  const isRatings = columns.includes("Your Rating");
+  return records.map(record => {
+    const type = record["Title Type"];
+    const kind = IMDB_TV_TYPES.includes(type) ? "tv" : IMDB_MOVIE_TYPES.includes(type) ? "movie" : null;
+    if (!kind || !record.Title) return null;
+    const item = createItem(kind, record.Title, toYear(record.Year), { imdb: normalizeImdbId(record.Const) }, "imdb");
+    if (isRatings && kind === "movie") markWatched(item, toIsoDate(record["Date Rated"]));
+    return item;
+  }).filter(Boolean);
+}
+
+function parseLetterboxd({ records }, fileName) {
+  // watchlist.csv has the same columns as watched.csv
+  const isWatchlist = /watchlist/i.test(fileName);
+  return records.map(record => {
+    if (!record.Name) return null;
+    const item = createItem("movie", record.Name, toYear(record.Year), {}, "letterboxd");
+    if (!isWatchlist) markWatched(item, toIsoDate(record["Watched Date"] || record.Date));
+    return item;
+  }).filter(Boolean);
+}
+
+function detectCsvSource(columns) {
+  if (columns.includes("Const") && columns.includes("Title Type")) return "imdb";
+  if (columns.includes("Letterboxd URI")) return "letterboxd";
+  if (columns.some(name => ["tv_show_name", "series_name"].includes(name))) return "tvtime";
+  return null;
+}
+
+// { source, data }: parsed JSON for Trakt, { columns, records } for CSVs
+function readExport(fileName, text) {
+  if (/\.json$/i.test(fileName)) {
+    try {
+      const data = JSON.parse(text);
+      return { source: getTraktEntries(data).length ? "trakt" : null, data };
+    } catch {
+      return { source: null, data: null };
+    }
+  }
+  const data = parseCsv(text.replace(/^\uFEFF/, ""));
+  return { source: detectCsvSource(data.columns), data };
+}
+
+/**
+ * Which tracker exported a file
+ * @param {string} fileName - File name
+ * @param {string} text - File contents
+ * @returns {string|null} - Key of HISTORY_SOURCE_LABELS, or null
+ */
+export function detectHistorySource(fileName, text) {
+  return readExport(fileName, text).source;
+}
+
+/**
+ * Parse exported files into import items. Rows for the same title, within a
+ * file or across files, are merged into one item.
+ * @param {Array<{name: string, text: string}>} files - Exported files
+ * @returns {{items: Object[], unrecognized: string[]}} - Items, and the names
+ *   of files in no known format
+ */
+export function parseHistoryFiles(files) {
+  const byKey = new Map();
+  const unrecognized = [];
+
+  for (const { name, text } of files) {
+    const { source, data } = readExport(name, text);
+    if (!source) {
+      unrecognized.push(name);
+      continue;
+    }
+    const items = source === "trakt" ? parseTrakt(data)
+      : source === "imdb" ? parseImdb(data)
+        : source === "letterboxd" ? parseLetterboxd(data, name)
+          : parseTvTime(data);
+
+    for (const item of items) {
+      const existing = byKey.get(item.key);
+      if (existing) {
+        mergeItem(existing, item);
+      } else {
+        byKey.set(item.key, item);
+      }
+    }
+  }
+
+  return { items: [...byKey.values()], unrecognized };
+}
+
+function titlesMatch(a, b) {
+  return normalizeTitle(a) === normalizeTitle(b);
+}
+
+// Release years differ by one between sources often enough (festival vs
+// wide release, December premieres)
+function yearsMatch(candidate, year) {
+  const premiered = toYear(candidate.premiered);
+  return !year || !premiered || Math.abs(premiered - year) <= 1;
+}
+
+/**
+ * Match an item to a TVmaze show (TV) or Wikidata film. An IMDb id is trusted
+ * as is; a TheTVDB id or title search counts only when exactly one candidate
+ * has the item's title and year.
+ * @param {Object} item - From parseHistoryFiles
+ * @returns {Promise<{status: string, match: Object|null, candidates: Object[]}>}
+ *   status is "matched", "ambiguous" or "unmatched"
+ */
+export async function matchHistoryItem(item) {
+  const provider = getProvider(item.kind === "movie" ? "wikidata" : "tvmaze");
+
+  if (item.ids.imdb) {
+    const found = await provider.lookupByExternalId("imdb", item.ids.imdb).catch(() => null);
+    if (found) return { status: "matched", match: found, candidates: [found] };
+  }
+
+  const candidates = [];
+  if (item.ids.thetvdb) {
+    const found = await provider.lookupByExternalId("thetvdb", item.ids.thetvdb).catch(() => null);
+    if (found) candidates.push(found);
+  }
+  const results = await provider.search(item.title).catch(() => []);
+  for (const result of results) {
+    if (!candidates.some(c => String(c.id) === String(result.id))) candidates.push(result);
+  }
+
+  if (!candidates.length) return { status: "unmatched", match: null, candidates: [] };
+
+  const exact = candidates.filter(c => titlesMatch(c.name, item.title) && yearsMatch(c, item.year));
+  if (exact.length === 1) return { status: "matched", match: exact[0], candidates: [exact[0]] };
+
+  // Best guesses first
+  const ranked = [...exact, ...candidates.filter(c => !exact.includes(c))].slice(0, MAX_CANDIDATES);
+  return { status: "ambiguous", match: null, candidates: ranked };
+}
+
+function getMatchKeys(match) {
+  return [`id:${match.id}`, ...Object.entries(getExternalIds(match)).map(([kind, id]) => `${kind}:${id}`)];
+}
+
+// Items parsed under different keys can be the same title: IMDb rows are
+// keyed by IMDb id, Letterboxd rows by title and year. Once both are matched
+// to the same show or film (same id, or a shared IMDb/Wikidata id), they are
+// merged into the first.
+function mergeSameMatches(results) {
+  const byKey = new Map();
+  const merged = [];
+  for (const result of results) {
+    if (result.status !== "matched") {
+      merged.push(result);
+      continue;
+    }
+    const keys = getMatchKeys(result.match);
+    const existing = keys.map(key => byKey.get(key)).find(Boolean);
+    if (existing) {
+      mergeItem(existing.item, result.item);
+    } else {
+      merged.push(result);
+    }
+    for (const key of keys) {
+      if (!byKey.has(key)) byKey.set(key, existing || result);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Match every item, a few at a time. Items matched to the same title are
+ * merged.
+ * @param {Object[]} items - From parseHistoryFiles
+ * @param {Object} [options]
+ * @param {function(number, number): void} [options.onProgress] - (done, total)
+ * @param {AbortSignal} [options.signal] - Stops matching further items
+ * @returns {Promise<Object[]>} - { item, status, match, candidates } per
+ *   title, in item order; items left unmatched by an abort are omitted
+ */
+export async function matchHistoryItems(items, { onProgress, signal } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+
+  async function worker() {
+    while (next < items.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = { item: items[index], ...(await matchHistoryItem(items[index])) };
+      done++;
+      onProgress?.(done, items.length);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(MATCH_CONCURRENCY, items.length) }, worker));
+  return mergeSameMatches(results.filter(Boolean));
+}
+
+// TVmaze episode ids for the item's watched season/episode numbers
+async function getWatchedEpisodeMap(item, showId) {
+  if (!item.episodes.length) return null;
+  const episodes = await getCachedEpisodes(showId).catch(() => []);
+  const idsByNumber = new Map(episodes.map(ep => [`${ep.season}x${ep.number}`, ep.id]));
+  const now = new Date().toISOString();
+
+  const watched = {};
+  for (const { season, number, watchedAt } of item.episodes) {
+    const id = idsByNumber.get(`${season}x${number}`);
+    if (!id) continue;
+    const key = String(id);
+    // Earliest play wins, like marking an episode watched by hand
+    if (!watched[key] || (watchedAt && watchedAt < watched[key])) watched[key] = watchedAt || now;
+  }
+  return Object.keys(watched).length ? watched : null;
+}
+
+/**
+ * Tracked show for a reviewed match, with the item's watch state. Its
+ * details and episodes are fetched by the next refresh.
+ * @param {Object} item - From parseHistoryFiles
+ * @param {Object} match - Search result or lookup from matchHistoryItem
+ * @returns {Promise<Object>}
+ */
+export async function buildImportedShow(item, match) {
+  const isMovie = item.kind === "movie";
+  return {
+    id: match.id,
+    name: match.name,
+    provider: match.provider,
+    image: match.image || null,
+    genres: Array.isArray(match.genres) ? match.genres : [],
+    status: match.status || null,
+    premiered: match.premiered || null,
+    summary: match.summary || "",
+    externalIds: mergeExternalIds(match.externalIds, item.ids.imdb ? { imdb: item.ids.imdb } : {}),
+    nextEpisode: null,
+    lastAiredEpisode: null,
+    watchedEpisodes: isMovie ? null : await getWatchedEpisodeMap(item, match.id),
+    watchProgress: null,
+    allEpisodesLastFetchedAt: null,
+    watched: isMovie && item.watched,
+    watchedAt: isMovie && item.watched ? item.watchedAt || new Date().toISOString() : null,
+    contentType: isMovie ? "movies" : "tv",
+    addedAt: new Date().toISOString(),
+    needsRefresh: true
+  };
+}
+
+/**
+ * Add an imported show's watch state to the tracked copy of the same title.
+ * Episodes already marked keep their timestamps.
+ * @param {Object} tracked - Tracked show
+ * @param {Object} imported - From buildImportedShow
+ * @returns {Object} - The tracked show itself when nothing was added
+ */
+export function mergeImportedWatchState(tracked, imported) {
+  const watchedEpisodes = { ...imported.watchedEpisodes, ...(tracked.watchedEpisodes || {}) };
+  const addedEpisodes = Object.keys(watchedEpisodes).length > Object.keys(tracked.watchedEpisodes || {}).length;
+  const markedWatched = imported.watched && !tracked.watched;
+  if (!addedEpisodes && !markedWatched) return tracked;
+
+  return {
+    ...tracked,
+    watchedEpisodes,
+    ...(markedWatched ? { watched: true, watchedAt: imported.watchedAt } : {}),
+    // Recomputes watch progress from the new map
+    needsRefresh: addedEpisodes || tracked.needsRefresh || false
+  };
+}
@@ -0,0 +1,230 @@
+// Shared request layer for the metadata APIs (TVmaze, Jikan, Wikidata).
+// Requests to a host share a token bucket sized to its published limit, a
+// 429 pauses the whole host for its Retry-After, identical requests in
+// flight share one fetch, and responses requested with a ttlMs are cached
+// in IndexedDB and revalidated with their ETag / Last-Modified once stale.
+// Limits are per JS context: the popup and the background worker each
+// keep their own buckets.
+
+import { idbGet, idbPut, idbDelete, idbGetAll } from "./idbStore.js";
+
+const CACHE_STORE = "httpCache";
+
+// capacity = burst size, perSecond = steady rate
+const HOST_LIMITS = {
+  // 20 calls per 10 seconds: 10 at once, then 10 refills in any 10 seconds
+  "api.tvmaze.com": { capacity: 10, perSecond: 1 },
+  // 3 per second and 60 per minute: 3 at once, then 57 refills in a minute
+  "api.jikan.moe": { capacity: 3, perSecond: 0.95 },
+  "query.wikidata.org": { capacity: 5, perSecond: 1 },
+  "www.wikidata.org": { capacity: 10, perSecond: 5 }
+};
+
+const MAX_RETRIES = 2;
+// Longest Retry-After honoured; a longer one fails the request instead
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+// Cached responses unused for this long are dropped
+const CACHE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const CACHE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const buckets = new Map();
+const inFlight = new Map();
+let lastPrunedAt = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getBucket(host) {
+  const limit = HOST_LIMITS[host];
+  if (!limit) return null;
+  if (!buckets.has(host)) {
+    buckets.set(host, {
+      ...limit,
+      tokens: limit.capacity,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      queue: Promise.resolve()
+    });
+  }
+  return buckets.get(host);
+}
+
+// Resolves when the host has a token for this request. Waiters are served
+// in order.
+function takeToken(host) {
+  const bucket = getBucket(host);
+  if (!bucket) return Promise.resolve();
+
+  const turn = bucket.queue.then(async () => {
+    for (;;) {
+      const now = Date.now();
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.perSecond);
+      bucket.updatedAt = now;
+      const wait = Math.max(
+        bucket.pausedUntil - now,
+        bucket.tokens >= 1 ? 0 : (1 - bucket.tokens) / bucket.perSecond * 1000
+      );
+      if (wait <= 0) break;
+      await sleep(wait);
+    }
+    bucket.tokens -= 1;
+  });
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+function pauseHost(host, ms) {
+  const bucket = getBucket(host);
+  if (!bucket) return;
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+  bucket.tokens = 0;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value, attempt) {
+  if (value) {
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  return 1000 * 2 ** attempt;
+}
+
+function getRequestKey(url, init) {
+  const method = (init.method || "GET").toUpperCase();
+  const body = typeof init.body === "string" ? init.body : "";
+  return `${method} ${url} ${body}`;
+}
+
+function responseFromCache(entry) {
+  return new Response(entry.body, {
+    status: entry.status,
+    headers: { "Content-Type": entry.contentType || "application/json" }
+  });
+}
+
+async function readCache(key) {
+  try {
+    return await idbGet(CACHE_STORE, key);
+  } catch (err) {
+    console.warn("[httpClient] Cache read failed:", err);
+    return null;
+  }
+}
+
+async function writeCache(entry) {
+  try {
+    await idbPut(CACHE_STORE, entry);
+    if (Date.now() - lastPrunedAt > CACHE_PRUNE_INTERVAL_MS) {
+      lastPrunedAt = Date.now();
+      await pruneCache();
+    }
+  } catch (err) {
+    console.warn("[httpClient] Cache write failed:", err);
+  }
+}
+
+async function pruneCache() {
+  const cutoff = Date.now() - CACHE_MAX_AGE_MS;
+  const expired = (await idbGetAll(CACHE_STORE))
+    .filter(entry => entry.storedAt < cutoff)
+    .map(entry => entry.key);
+  if (expired.length) await idbDelete(CACHE_STORE, expired);
+}
+
+async function send(url, init, cached, attempt = 0) {
+  const host = new URL(url).host;
+  await takeToken(host);
+
+  const headers = new Headers(init.headers || {});
+  if (cached?.etag) headers.set("If-None-Match", cached.etag);
+  if (cached?.lastModified) headers.set("If-Modified-Since", cached.lastModified);
+
+  let res;
+  try {
+    res = await fetch(url, { ...init, headers });
+  } catch (err) {
+    if (attempt < MAX_RETRIES) {
+      console.log(`[httpClient] Network error for ${url}, retrying...`, err);
+      await sleep(1000 * (attempt + 1));
+      return send(url, init, cached, attempt + 1);
+    }
+    throw err;
+  }
+
+  if ((res.status === 429 || res.status >= 500) && attempt < MAX_RETRIES) {
+    const wait = parseRetryAfter(res.headers.get("Retry-After"), attempt);
+    if (wait <= MAX_RETRY_AFTER_MS) {
+      console.log(`[httpClient] ${res.status} from ${host}, retrying after ${Math.ceil(wait / 1000)}s...`);
+      if (res.status === 429) pauseHost(host, wait);
+      await sleep(wait);
+      return send(url, init, cached, attempt + 1);
+    }
+  }
+
+  return res;
+}
+
+async function load(url, init, key, ttlMs) {
+  const cached = ttlMs > 0 ? await readCache(key) : null;
+  if (cached && Date.now() - cached.storedAt < ttlMs) {
+    return responseFromCache(cached);
+  }
+
+  let res;
+  try {
+    res = await send(url, init, cached);
+  } catch (err) {
+    // Offline: a stale copy beats nothing
+    if (cached) return responseFromCache(cached);
+    throw err;
+  }
+
+  if (res.status === 304 && cached) {
+    await writeCache({ ...cached, storedAt: Date.now() });
+    return responseFromCache(cached);
+  }
+
+  if (!(ttlMs > 0) || !res.ok) return res;
+
+  const body = await res.text();
+  const entry = {
+    key,
+    url,
+    status: res.status,
+    contentType: res.headers.get("Content-Type"),
+    etag: res.headers.get("ETag"),
+    lastModified: res.headers.get("Last-Modified"),
+    body,
+    storedAt: Date.now()
+  };
+  await writeCache(entry);
+  return responseFromCache(entry);
+}
+
+/**
+ * fetch() through the shared rate limiter, retry and cache layer
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch() options, plus:
+ * @param {number} [options.ttlMs] - Cache successful responses for this long
+ *   (0 = no caching). GETs and cached requests in flight are shared.
+ * @returns {Promise<Response>} - A response whose body the caller owns
+ */
+export async function httpFetch(url, { ttlMs = 0, ...init } = {}) {
+  const method = (init.method || "GET").toUpperCase();
+  if (method !== "GET" && !(ttlMs > 0)) {
+    return load(url, init, null, 0);
+  }
+
+  const key = getRequestKey(url, init);
+  if (!inFlight.has(key)) {
+    const pending = load(url, init, key, ttlMs);
+    inFlight.set(key, pending);
+    pending.then(
+      () => inFlight.delete(key),
+      () => inFlight.delete(key)
+    );
+  }
+  // Every caller reads its own copy of the body
+  return (await inFlight.get(key)).clone();
+}
@@ -0,0 +1,196 @@
+// iCalendar (RFC 5545) export of upcoming episodes and releases, for
+// importing the tracked list into a calendar app. Every event's UID is
+// derived from the episode or release it describes, so importing a newer
+// export updates events instead of duplicating them.
+//
+// Not implemented yet: a subscribable feed. Only the one-off download
+// exists; a feed URL needs a server to host it (see README).
+
+import { getShowProvider } from "./providers.js";
+import { getCachedShow, getCachedEpisodes } from "./episodeCache.js";
+import { hasEntriesInRange } from "./calendar.js";
+import { RELEASE_TYPES, RELEASE_TYPE_LABELS } from "./wikidataApi.js";
+
+const UID_DOMAIN = "episode-countdown";
+const DEFAULT_RUNTIME_MINUTES = { tv: 30, anime: 24 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// 20261019T200000Z
+function formatUtcDateTime(time) {
+  const date = new Date(time);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+    `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+// "2026-10-19" -> 20261019
+function formatDate(isoDate) {
+  return isoDate.replace(/-/g, "");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = new TextEncoder().encode(char).length;
+    const limit = parts.length ? 74 : 75;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// An episode without a season number is coded by its number alone
+function formatEpisodeCode(season, number) {
+  return typeof season === "number" ? `S${pad(season)}E${pad(number)}` : `E${pad(number)}`;
+}
+
+function getValidUrl(value) {
+  try {
+    return value ? new URL(value).href : null;
+  } catch {
+    return null;
+  }
+}
+
+function episodeEvent(show, ep, info) {
+  const start = Date.parse(ep.airstamp);
+  const runtime = ep.runtime || info?.runtime || info?.averageRuntime ||
+    DEFAULT_RUNTIME_MINUTES[show.contentType] || DEFAULT_RUNTIME_MINUTES.tv;
+  const code = typeof ep.number === "number" ? formatEpisodeCode(ep.season, ep.number) : "Special";
+  const network = info?.network?.name || info?.webChannel?.name || null;
+
+  return {
+    uid: ep.id
+      ? `${getShowProvider(show).id}-episode-${ep.id}@${UID_DOMAIN}`
+      : `${show.id}-${code}@${UID_DOMAIN}`,
+    summary: `${show.name} ${code}`,
+    description: [ep.name && ep.name !== code ? ep.name : null, network ? `Network: ${network}` : null]
+      .filter(Boolean)
+      .join("\n"),
+    start,
+    end: start + runtime * 60 * 1000,
+    url: getValidUrl(show.watchLink)
+  };
+}
+
+function releaseEvents(show, range) {
+  return RELEASE_TYPES
+    .map(type => ({ type, release: show.releaseDates?.[type] }))
+    .filter(({ release }) => release?.precision === "day")
+    .filter(({ release }) => {
+      const [year, month, day] = release.date.split("-").map(Number);
+      const date = new Date(year, month - 1, day);
+      return date >= range.start && date < range.end;
+    })
+    .map(({ type, release }) => ({
+      uid: `${show.id}-${type}@${UID_DOMAIN}`,
+      summary: `${show.name} (${RELEASE_TYPE_LABELS[type]})`,
+      description: release.region ? `Release region: ${release.region}` : "",
+      date: release.date,
+      url: getValidUrl(show.watchLink)
+    }));
+}
+
+/**
+ * Events for the tracked shows that match the export options. TVmaze shows
+ * use their full episode lists; anime their next broadcast; films their
+ * day-precision release dates.
+ * @param {Object[]} shows - Tracked shows
+ * @param {Object} options
+ * @param {number} options.days - How many days ahead to include
+ * @param {string[]} options.contentTypes - "tv", "anime" and/or "movies"
+ * @param {boolean} options.priorityOnly - Only pinned shows
+ * @returns {Promise<Object[]>} - Events for buildIcsCalendar
+ */
+export async function collectIcsEvents(shows, { days, contentTypes, priorityOnly }) {
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  const range = { start, end: new Date(start.getTime() + days * DAY_MS) };
+
+  const selected = shows.filter(show =>
+    contentTypes.includes(show.contentType || "tv") && (!priorityOnly || show.priority)
+  );
+
+  const events = [];
+  for (const show of selected) {
+    if (show.contentType === "movies") {
+      events.push(...releaseEvents(show, range));
+      continue;
+    }
+    if (!hasEntriesInRange(show, range)) continue;
+
+    let episodes = [show.nextEpisode];
+    let info = null;
+    if (getShowProvider(show).id === "tvmaze") {
+      [info, episodes] = await Promise.all([
+        getCachedShow(show.id).catch(() => null),
+        getCachedEpisodes(show.id).catch(() => [show.nextEpisode])
+      ]);
+    }
+
+    for (const ep of episodes) {
+      const time = Date.parse(ep?.airstamp || "");
+      if (Number.isNaN(time) || time < range.start.getTime() || time >= range.end.getTime()) continue;
+      events.push(episodeEvent(show, ep, info));
+    }
+  }
+
+  return events.sort((a, b) => (a.start ?? Date.parse(a.date)) - (b.start ?? Date.parse(b.date)));
+}
+
+/**
+ * Serialize events as an iCalendar file
+ * @param {Object[]} events - From collectIcsEvents
+ * @param {number} now - Timestamp written as DTSTAMP
+ * @returns {string} - .ics file contents (CRLF line endings)
+ */
+export function buildIcsCalendar(events, now = Date.now()) {
+  const stamp = formatUtcDateTime(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Episode Countdown//Episode Countdown//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:Episode Countdown"
+  ];
+
+  for (const event of events) {
+    lines.push("BEGIN:VEVENT", `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+    if (event.date) {
+      const [year, month, day] = event.date.split("-").map(Number);
+      const next = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(next)}`);
+    } else {
+      lines.push(`DTSTART:${formatUtcDateTime(event.start)}`, `DTEND:${formatUtcDateTime(event.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,126 @@
+// IndexedDB for data too large or too numerous for chrome.storage.local
+// (which every badge and notification update reads in full). Each object
+// store is keyed by a "key" field on its records.
+
+const DB_NAME = "episode-countdown";
+const DB_VERSION = 3;
+
+// Stores by the version that added them; upgrades create the missing ones
+const STORES = [
+  { name: "httpCache", version: 1 },
+  { name: "episodes", version: 2 },
+  { name: "snapshots", version: 3 }
+];
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const store of STORES) {
+          if (!db.objectStoreNames.contains(store.name)) {
+            db.createObjectStore(store.name, { keyPath: "key" });
+          }
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // Another context upgraded the database; reopen on next use
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn("[idbStore] Upgrade blocked by another open context");
+    });
+    // Don't cache a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run writes in one transaction and wait for it to commit
+async function writeTransaction(storeName, run) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, "readwrite");
+  run(tx.objectStore(storeName));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Read one record
+ * @param {string} storeName - Object store
+ * @param {string} key - Record key
+ * @returns {Promise<Object|null>}
+ */
+export async function idbGet(storeName, key) {
+  const db = await openDatabase();
+  const record = await requestToPromise(db.transaction(storeName).objectStore(storeName).get(key));
+  return record || null;
+}
+
+/**
+ * Every record in a store, or in a key range of it
+ * @param {string} storeName - Object store
+ * @param {IDBKeyRange} [range] - Only keys in this range
+ * @returns {Promise<Object[]>} - In key order
+ */
+export async function idbGetAll(storeName, range) {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(storeName).objectStore(storeName).getAll(range));
+}
+
+/**
+ * Keys of every record in a store, or in a key range of it
+ * @param {string} storeName - Object store
+ * @param {IDBKeyRange} [range] - Only keys in this range
+ * @returns {Promise<Array>} - In key order
+ */
+export async function idbGetAllKeys(storeName, range) {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(storeName).objectStore(storeName).getAllKeys(range));
+}
+
+/**
+ * Write records, replacing any with the same key
+ * @param {string} storeName - Object store
+ * @param {Object|Object[]} records - Records with a key field
+ * @returns {Promise<void>}
+ */
+export async function idbPut(storeName, records) {
+  const list = Array.isArray(records) ? records : [records];
+  await writeTransaction(storeName, store => {
+    for (const record of list) store.put(record);
+  });
+}
+
+/**
+ * Delete records by key
+ * @param {string} storeName - Object store
+ * @param {string|string[]} keys - Record keys
+ * @returns {Promise<void>}
+ */
+export async function idbDelete(storeName, keys) {
+  const list = Array.isArray(keys) ? keys : [keys];
+  await writeTransaction(storeName, store => {
+    for (const key of list) store.delete(key);
+  });
+}
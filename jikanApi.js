@@ -0,0 +1,282 @@
+// Anime data from Jikan (an unofficial MyAnimeList API). Shows are stored
+// with ids "jikan-<mal_id>". Jikan has no per-episode air times, so the next
+// episode comes from the weekly broadcast slot, which MyAnimeList lists in
+// Japan time (JST, UTC+9, no daylight saving).
+
+import { httpFetch } from "./httpClient.js";
+
+const JIKAN_BASE_URL = "https://api.jikan.moe/v4";
+
+// Jikan's own cache refreshes about daily; an hour keeps airing lists current
+const JIKAN_TTL_MS = 60 * 60 * 1000;
+const GENRE_LIST_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Episode lists are paginated 100 at a time; long-running shows are capped
+const MAX_EPISODE_PAGES = 5;
+
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const BROADCAST_DAYS = ["sundays", "mondays", "tuesdays", "wednesdays", "thursdays", "fridays", "saturdays"];
+
+let genreIdsPromise = null;
+
+// Rate limiting (3 requests/second, 60/minute) and retries are handled by
+// httpClient.js
+async function jikanFetch(path, ttlMs = JIKAN_TTL_MS) {
+  let res;
+  try {
+    res = await httpFetch(`${JIKAN_BASE_URL}${path}`, { ttlMs });
+  } catch (err) {
+    console.error(`[Jikan] Network error for ${path}:`, err);
+    return null;
+  }
+
+  if (!res.ok) {
+    if (res.status === 404) {
+      console.warn(`[Jikan] ${path} not found`);
+    } else {
+      console.error(`[Jikan] ${path} failed:`, res.status);
+    }
+    return null;
+  }
+
+  return res.json();
+}
+
+export function getMalId(show) {
+  const id = String(show?.id || "");
+  if (id.startsWith("jikan-")) return Number(id.slice(6));
+  return show?.malId || null;
+}
+
+// "YYYY-MM-DD" + "HH:MM" in Japan time -> UTC timestamp
+function jstToTimestamp(date, time) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = (time || "00:00").split(":").map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes) - JST_OFFSET_MS;
+}
+
+function getBroadcastSlot(anime) {
+  const broadcast = anime?.broadcast;
+  const dayIndex = BROADCAST_DAYS.indexOf((broadcast?.day || "").toLowerCase());
+  if (dayIndex === -1 || !/^\d{1,2}:\d{2}$/.test(broadcast?.time || "")) return null;
+  return { dayIndex, time: broadcast.time };
+}
+
+/**
+ * Next weekly broadcast of an anime, as a UTC timestamp. The broadcast slot
+ * is in JST, so the local day can differ from the listed one.
+ * @param {Object} anime - Normalized anime (see mapAnime)
+ * @param {number} from - Timestamp to search forward from
+ * @returns {number|null}
+ */
+export function getNextBroadcastTime(anime, from = Date.now()) {
+  const slot = getBroadcastSlot(anime);
+  if (!slot) return null;
+
+  const jstNow = new Date(from + JST_OFFSET_MS);
+  const daysAhead = (slot.dayIndex - jstNow.getUTCDay() + 7) % 7;
+  const jstDate = new Date(Date.UTC(jstNow.getUTCFullYear(), jstNow.getUTCMonth(), jstNow.getUTCDate() + daysAhead));
+  let next = jstToTimestamp(jstDate.toISOString().slice(0, 10), slot.time);
+  if (next <= from) next += WEEK_MS;
+  return next;
+}
+
+function mapAnime(data) {
+  if (!data?.mal_id) return null;
+  return {
+    id: `jikan-${data.mal_id}`,
+    malId: data.mal_id,
+    name: data.title_english || data.title || "Unknown",
+    genres: (data.genres || []).map(genre => genre.name),
+    premiered: data.aired?.from ? data.aired.from.slice(0, 10) : null,
+    status: data.status || null,
+    summary: data.synopsis || "",
+    image: data.images?.jpg?.large_image_url || data.images?.jpg?.image_url || null,
+    airing: Boolean(data.airing),
+    notYetAired: data.status === "Not yet aired",
+    episodeCount: data.episodes || null,
+    broadcast: data.broadcast || null,
+    contentType: "anime",
+    provider: "jikan"
+  };
+}
+
+// List results carry a broadcast-based countdown so cards can render without
+// fetching every episode list
+function mapAnimeSummary(data) {
+  const anime = mapAnime(data);
+  if (!anime) return null;
+  return { ...anime, nextEpisode: computeNextAnimeEpisode(anime, []) };
+}
+
+function mapAnimeList(json) {
+  const seen = new Set();
+  return (json?.data || [])
+    .map(mapAnimeSummary)
+    .filter(anime => anime && !seen.has(anime.id) && seen.add(anime.id));
+}
+
+/**
+ * Search anime by title
+ * @param {string} query - Search text
+ * @returns {Promise<Object[]>} - Show summaries with "jikan-" ids
+ */
+export async function searchAnime(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return [];
+  const json = await jikanFetch(`/anime?q=${encodeURIComponent(trimmed)}&limit=12&sfw=true&order_by=members&sort=desc`);
+  return mapAnimeList(json);
+}
+
+/**
+ * Full details of one anime
+ * @param {number} malId - MyAnimeList id
+ * @returns {Promise<Object|null>} - Normalized anime
+ */
+export async function fetchAnime(malId) {
+  if (!malId) return null;
+  const json = await jikanFetch(`/anime/${malId}/full`);
+  return mapAnime(json?.data);
+}
+
+/**
+ * Episode list of an anime, shaped like TVmaze episodes (season 1, numbered
+ * by MyAnimeList episode number) so watch progress works unchanged
+ * @param {number} malId - MyAnimeList id
+ * @param {Object} [anime] - Normalized anime; its broadcast time is used for air times
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchAnimeEpisodes(malId, anime = null) {
+  if (!malId) return [];
+
+  const episodes = [];
+  for (let page = 1; page <= MAX_EPISODE_PAGES; page++) {
+    const json = await jikanFetch(`/anime/${malId}/episodes?page=${page}`);
+    if (!json?.data) break;
+    episodes.push(...json.data);
+    if (!json.pagination?.has_next_page) break;
+  }
+
+  const broadcastTime = getBroadcastSlot(anime)?.time || null;
+  return episodes.map(ep => {
+    // Jikan gives the air date only (as JST midnight); add the broadcast time
+    const airDate = ep.aired ? new Date(Date.parse(ep.aired) + JST_OFFSET_MS).toISOString().slice(0, 10) : null;
+    return {
+      id: `jikan-${malId}-${ep.mal_id}`,
+      season: 1,
+      number: ep.mal_id,
+      name: ep.title || "",
+      type: ep.recap ? "recap" : "regular",
+      airstamp: airDate ? new Date(jstToTimestamp(airDate, broadcastTime)).toISOString() : null,
+      airdate: airDate
+    };
+  });
+}
+
+/**
+ * Next episode of an anime from its weekly broadcast slot
+ * @param {Object} anime - Normalized anime
+ * @param {Object[]} episodes - Episodes from fetchAnimeEpisodes
+ * @returns {{season: number, number: number, airstamp: string}|null}
+ */
+export function computeNextAnimeEpisode(anime, episodes) {
+  if (!anime) return null;
+  const now = Date.now();
+
+  if (anime.notYetAired) {
+    if (!anime.premiered) return null;
+    const slot = getBroadcastSlot(anime);
+    const premiere = jstToTimestamp(anime.premiered, slot?.time);
+    if (premiere <= now) return null;
+    return { season: 1, number: 1, airstamp: new Date(premiere).toISOString() };
+  }
+
+  if (!anime.airing) return null;
+  const nextTime = getNextBroadcastTime(anime, now);
+  if (!nextTime) return null;
+
+  const airedNumbers = (episodes || [])
+    .filter(ep => ep.airstamp && Date.parse(ep.airstamp) <= now)
+    .map(ep => ep.number);
+  let number;
+  if (airedNumbers.length) {
+    number = Math.max(...airedNumbers) + 1;
+  } else if (anime.premiered) {
+    // No episode list yet: count weekly broadcasts since the premiere
+    const premiere = jstToTimestamp(anime.premiered, getBroadcastSlot(anime)?.time);
+    number = Math.max(1, Math.round((nextTime - premiere) / WEEK_MS) + 1);
+  } else {
+    number = 1;
+  }
+
+  if (anime.episodeCount && number > anime.episodeCount) return null;
+  return { season: 1, number, airstamp: new Date(nextTime).toISOString() };
+}
+
+/**
+ * Anime broadcasting on the local calendar day
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchAiringTodayAnime() {
+  const startOfDay = new Date();
+  startOfDay.setHours(0, 0, 0, 0);
+  const start = startOfDay.getTime();
+  const end = start + 24 * 60 * 60 * 1000;
+
+  // The local day spans one or two JST weekdays
+  const jstDays = [...new Set([start, end - 1].map(time => BROADCAST_DAYS[new Date(time + JST_OFFSET_MS).getUTCDay()]))];
+  const lists = [];
+  for (const day of jstDays) {
+    lists.push(...mapAnimeList(await jikanFetch(`/schedules?filter=${day}&sfw=true&limit=25`)));
+  }
+
+  const seen = new Set();
+  return lists.filter(anime => {
+    if (seen.has(anime.id)) return false;
+    seen.add(anime.id);
+    // This week's slot, which may already have passed today
+    const next = getNextBroadcastTime(anime, start - 1);
+    return next != null && next < end;
+  });
+}
+
+/**
+ * Most popular anime that are currently airing
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchPopularAnime() {
+  const json = await jikanFetch("/top/anime?filter=airing&limit=25&sfw=true");
+  return mapAnimeList(json);
+}
+
+async function getGenreIds() {
+  if (!genreIdsPromise) {
+    genreIdsPromise = jikanFetch("/genres/anime", GENRE_LIST_TTL_MS).then(json => {
+      const ids = {};
+      for (const genre of json?.data || []) {
+        ids[genre.name.toLowerCase()] = genre.mal_id;
+      }
+      return ids;
+    });
+    // Don't cache a failed lookup
+    genreIdsPromise.then(ids => {
+      if (!Object.keys(ids).length) genreIdsPromise = null;
+    });
+  }
+  return genreIdsPromise;
+}
+
+/**
+ * Popular anime in a genre
+ * @param {string} genre - Jikan genre name (see getApiGenre(..., "jikan"))
+ * @returns {Promise<Object[]>}
+ */
+export async function searchAnimeByGenre(genre) {
+  const ids = await getGenreIds();
+  const genreId = ids[(genre || "").toLowerCase()];
+  if (!genreId) return [];
+  const json = await jikanFetch(`/anime?genres=${genreId}&order_by=members&sort=desc&limit=20&sfw=true`);
+  return mapAnimeList(json);
+}
@@ -0,0 +1,347 @@
+// Episode air-time notifications and reminders for the background service worker.
+// One chrome.alarms entry is kept per upcoming episode (plus one per reminder
+// lead time), derived from each tracked show's nextEpisode. Alarm names double
+// as notification ids so the click handler can find the show again without
+// extra state.
+
+export const NOTIFICATION_SETTINGS_KEY = "notificationSettings";
+
+// Log of delivered alerts, keyed by episode identity rather than airstamp so a
+// rescheduled episode never alerts twice for the same lead time
+const NOTIFICATION_LOG_KEY = "notificationLog";
+const NOTIFICATION_LOG_MAX_AGE_MS = 60 * 24 * 60 * 60 * 1000;
+
+const EPISODE_ALARM_PREFIX = "episode|";
+const REMINDER_ALARM_PREFIX = "reminder|";
+
+// Lead times offered per show, in minutes before air time
+export const REMINDER_LEAD_OPTIONS = [
+  { minutes: 24 * 60, label: "1 day" },
+  { minutes: 60, label: "1 hour" },
+  { minutes: 15, label: "15 min" }
+];
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: true,
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "08:00"
+  }
+};
+
+function isShowListKey(key) {
+  return key.startsWith("shows_") && !key.endsWith("_ids");
+}
+
+function getShowLists(localData) {
+  return Object.keys(localData || {})
+    .filter(isShowListKey)
+    .map(key => (Array.isArray(localData[key]) ? localData[key] : []));
+}
+
+// episode|<showId>|<season>|<number>|<airstamp>
+// reminder|<showId>|<season>|<number>|<airstamp>|<leadMinutes>
+function buildEpisodeAlarmName(show) {
+  const ep = show.nextEpisode;
+  return [
+    "episode",
+    String(show.id),
+    ep.season ?? "",
+    ep.number ?? "",
+    ep.airstamp
+  ].join("|");
+}
+
+function buildReminderAlarmName(show, leadMinutes) {
+  return `${buildEpisodeAlarmName(show).replace(/^episode\|/, REMINDER_ALARM_PREFIX)}|${leadMinutes}`;
+}
+
+function parseEpisodeAlarmName(name) {
+  if (!name) return null;
+  const isReminder = name.startsWith(REMINDER_ALARM_PREFIX);
+  if (!isReminder && !name.startsWith(EPISODE_ALARM_PREFIX)) return null;
+
+  const [, showId, season, number, airstamp, lead] = name.split("|");
+  return {
+    kind: isReminder ? "reminder" : "episode",
+    showId,
+    season: season === "" ? null : Number(season),
+    number: number === "" ? null : Number(number),
+    airstamp,
+    leadMinutes: isReminder ? Number(lead) : 0
+  };
+}
+
+// Stable key for "this alert for this episode", independent of the airstamp
+function getNotificationLogKey(parsed) {
+  const episodeKey = parsed.season != null && parsed.number != null
+    ? `${parsed.season}x${parsed.number}`
+    : parsed.airstamp;
+  return `${parsed.showId}|${episodeKey}|${parsed.leadMinutes}`;
+}
+
+async function getNotificationLog() {
+  const data = await chrome.storage.local.get(NOTIFICATION_LOG_KEY);
+  return data[NOTIFICATION_LOG_KEY] || {};
+}
+
+async function recordNotification(parsed) {
+  const log = await getNotificationLog();
+  const cutoff = Date.now() - NOTIFICATION_LOG_MAX_AGE_MS;
+  for (const [key, firedAt] of Object.entries(log)) {
+    if (firedAt < cutoff) delete log[key];
+  }
+  log[getNotificationLogKey(parsed)] = Date.now();
+  await chrome.storage.local.set({ [NOTIFICATION_LOG_KEY]: log });
+}
+
+/**
+ * Normalise a show's stored reminder lead times
+ * @param {Object} show - Tracked show
+ * @returns {number[]} - Lead times in minutes, largest first
+ */
+export function getReminderLeadTimes(show) {
+  const allowed = new Set(REMINDER_LEAD_OPTIONS.map(o => o.minutes));
+  const leads = Array.isArray(show?.reminderLeadTimes) ? show.reminderLeadTimes : [];
+  return [...new Set(leads.map(Number))]
+    .filter(m => allowed.has(m))
+    .sort((a, b) => b - a);
+}
+
+function formatLeadTime(minutes) {
+  if (minutes >= 24 * 60 && minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return days === 1 ? "tomorrow" : `in ${days} days`;
+  }
+  if (minutes >= 60 && minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `in ${hours} hour${hours === 1 ? "" : "s"}`;
+  }
+  return `in ${minutes} minutes`;
+}
+
+export function formatEpisodeCode(season, number) {
+  if (typeof season === "number" && typeof number === "number" &&
+      !Number.isNaN(season) && !Number.isNaN(number)) {
+    return `S${season}E${number}`;
+  }
+  return "New episode";
+}
+
+// "HH:MM" -> minutes since midnight, or null when malformed
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a moment falls inside the quiet-hours window
+ * @param {Object} settings - Notification settings
+ * @param {Date} date - Moment to check (local time)
+ * @returns {boolean}
+ */
+export function isInQuietHours(settings, date = new Date()) {
+  const quiet = settings?.quietHours;
+  if (!quiet || !quiet.enabled) return false;
+
+  const start = parseClockTime(quiet.start);
+  const end = parseClockTime(quiet.end);
+  if (start == null || end == null || start === end) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  // Window may wrap past midnight (e.g. 22:00 -> 08:00)
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Get the next moment quiet hours end, starting from the given date
+ * @param {Object} settings - Notification settings
+ * @param {Date} date - Moment inside quiet hours
+ * @returns {Date}
+ */
+export function getQuietHoursEnd(settings, date = new Date()) {
+  const end = parseClockTime(settings.quietHours.end);
+  const result = new Date(date);
+  result.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (result <= date) {
+    result.setDate(result.getDate() + 1);
+  }
+  return result;
+}
+
+export async function getNotificationSettings() {
+  const data = await chrome.storage.local.get(NOTIFICATION_SETTINGS_KEY);
+  const stored = data[NOTIFICATION_SETTINGS_KEY] || {};
+  return {
+    ...DEFAULT_NOTIFICATION_SETTINGS,
+    ...stored,
+    quietHours: {
+      ...DEFAULT_NOTIFICATION_SETTINGS.quietHours,
+      ...(stored.quietHours || {})
+    }
+  };
+}
+
+function isNotifiable(show) {
+  if (!show || show.muted) return false;
+  if (show.contentType === "movies") return false;
+  const airTime = Date.parse(show.nextEpisode?.airstamp || "");
+  return !Number.isNaN(airTime);
+}
+
+// Find the tracked copy of a show across every stored list. The same show
+// can sit in more than one list (e.g. guest + signed-in), so prefer one that
+// is not muted.
+function findTrackedShow(localData, showId) {
+  let fallback = null;
+  for (const shows of getShowLists(localData)) {
+    const match = shows.find(s => String(s.id) === showId);
+    if (!match) continue;
+    if (!match.muted) return match;
+    fallback = fallback || match;
+  }
+  return fallback;
+}
+
+/**
+ * Reconcile episode and reminder alarms with the stored show lists.
+ * Creates alarms for new upcoming episodes and clears ones whose episode
+ * moved, was muted or removed, so a refresh that shifts an airstamp simply
+ * re-schedules. Air-time alarms for episodes that already aired are kept,
+ * since those are notifications deferred by quiet hours.
+ */
+export async function syncEpisodeAlarms() {
+  const [localData, settings, alarms, log] = await Promise.all([
+    chrome.storage.local.get(null),
+    getNotificationSettings(),
+    chrome.alarms.getAll(),
+    getNotificationLog()
+  ]);
+
+  const now = Date.now();
+  const desired = new Map();
+
+  const addIfPending = (name, when) => {
+    if (when <= now) return;
+    if (log[getNotificationLogKey(parseEpisodeAlarmName(name))]) return;
+    desired.set(name, when);
+  };
+
+  if (settings.enabled) {
+    for (const shows of getShowLists(localData)) {
+      for (const show of shows) {
+        if (!isNotifiable(show)) continue;
+        const airTime = Date.parse(show.nextEpisode.airstamp);
+        addIfPending(buildEpisodeAlarmName(show), airTime);
+        for (const lead of getReminderLeadTimes(show)) {
+          addIfPending(buildReminderAlarmName(show, lead), airTime - lead * 60 * 1000);
+        }
+      }
+    }
+  }
+
+  for (const alarm of alarms) {
+    const parsed = parseEpisodeAlarmName(alarm.name);
+    if (!parsed) continue;
+
+    if (desired.has(alarm.name)) {
+      desired.delete(alarm.name);
+      continue;
+    }
+
+    // Keep air-time alerts deferred by quiet hours; reminders are only
+    // useful before the episode airs, so stale ones are always dropped
+    const aired = Date.parse(parsed.airstamp) <= now;
+    const show = findTrackedShow(localData, parsed.showId);
+    if (parsed.kind === "episode" && settings.enabled && aired && show && !show.muted) continue;
+
+    await chrome.alarms.clear(alarm.name);
+  }
+
+  for (const [name, when] of desired) {
+    chrome.alarms.create(name, { when });
+  }
+}
+
+/**
+ * Handle a fired alarm. Returns false when the alarm is not an episode alarm.
+ * @param {chrome.alarms.Alarm} alarm
+ * @returns {Promise<boolean>}
+ */
+export async function handleEpisodeAlarm(alarm) {
+  const parsed = parseEpisodeAlarmName(alarm.name);
+  if (!parsed) return false;
+
+  const [localData, settings] = await Promise.all([
+    chrome.storage.local.get(null),
+    getNotificationSettings()
+  ]);
+
+  const show = findTrackedShow(localData, parsed.showId);
+  if (!settings.enabled || !show || show.muted) return true;
+
+  const log = await getNotificationLog();
+  if (log[getNotificationLogKey(parsed)]) return true;
+
+  const now = new Date();
+  if (isInQuietHours(settings, now)) {
+    if (parsed.kind === "episode") {
+      // Re-arm the same alarm for when quiet hours end
+      chrome.alarms.create(alarm.name, { when: getQuietHoursEnd(settings, now).getTime() });
+    } else {
+      // A reminder delivered after quiet hours would be late; the air-time
+      // alert still covers the episode
+      await recordNotification(parsed);
+    }
+    return true;
+  }
+
+  const code = formatEpisodeCode(parsed.season, parsed.number);
+  const message = parsed.kind === "reminder"
+    ? `${code} of ${show.name} airs ${formatLeadTime(parsed.leadMinutes)}`
+    : `${code} of ${show.name} is out now`;
+
+  await chrome.notifications.create(alarm.name, {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: show.name || "Episode Countdown",
+    message,
+    contextMessage: show.watchLink ? "Click to watch" : "",
+    priority: 1
+  });
+  await recordNotification(parsed);
+  return true;
+}
+
+/**
+ * Open the show's watch link when its notification is clicked.
+ * Returns false when the notification was not created by this module.
+ * @param {string} notificationId
+ * @returns {Promise<boolean>}
+ */
+export async function handleNotificationClick(notificationId) {
+  const parsed = parseEpisodeAlarmName(notificationId);
+  if (!parsed) return false;
+
+  const localData = await chrome.storage.local.get(null);
+  const show = findTrackedShow(localData, parsed.showId);
+
+  if (show?.watchLink) {
+    try {
+      new URL(show.watchLink);
+      await chrome.tabs.create({ url: show.watchLink });
+    } catch (err) {
+      console.warn("[notifications] Invalid watch link for", show.id, err);
+    }
+  }
+
+  await chrome.notifications.clear(notificationId);
+  return true;
+}
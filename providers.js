@@ -0,0 +1,288 @@
+// Metadata providers. Every source of show data implements the same
+// interface, and callers pick one by the show's provider field instead of
+// checking id prefixes:
+//
+//   id                  Stored on shows as show.provider
+//   contentTypes        Content types the provider serves
+//   idPrefix            Prefix of its show ids, used only for shows saved
+//                       before the provider field existed
+//   externalIdKind      Kind of id its show ids are (see showIdentity.js)
+//   getNativeId(show)   The show's id on this provider, without prefix
+//   staleAfterMs        How long fetched data stays fresh
+//   search(query)                      -> show summaries
+//   getShow(show)                      -> details, or null
+//   getEpisodes(show, details)         -> TVmaze-shaped episodes ([] for films)
+//   getNextRelease(show, episodes, details)
+//                                      -> next episode/release { airstamp, ... }, or null
+//   lookupByExternalId(kind, value)    -> show summary, or null. kind is
+//                                         "imdb", "thetvdb", "tvmaze", "mal" or "wikidata"
+//
+// Details are { name, image, genres, status, premiered, summary, externalIds },
+// plus releaseDates for films.
+
+import {
+  searchShows,
+  fetchShow,
+  computeNextEpisode,
+  computeLastAiredEpisode,
+  lookupByExternalId as lookupTvmazeByExternalId
+} from "./tvmazeApi.js";
+import {
+  searchByTitle as searchWikidataByTitle,
+  loadMovieReleaseDates,
+  lookupMovieByExternalId,
+  computeNextRelease,
+  getMovieQid,
+  MOVIE_RELEASE_TTL_MS
+} from "./wikidataApi.js";
+import {
+  searchAnime,
+  fetchAnime,
+  fetchAnimeEpisodes,
+  computeNextAnimeEpisode,
+  getMalId
+} from "./jikanApi.js";
+import { getCachedShow, getCachedEpisodes } from "./episodeCache.js";
+import { deriveWatchState } from "./watchProgress.js";
+
+const TWO_HOURS_MS = 2 * 60 * 60 * 1000;
+
+// Known ids win over newly fetched ones; empty values are dropped
+export function mergeExternalIds(known, fetched) {
+  const merged = {};
+  for (const [kind, value] of Object.entries({ ...(fetched || {}), ...(known || {}) })) {
+    if (value != null && value !== "") merged[kind] = String(value);
+  }
+  return merged;
+}
+
+const stripHtml = (html) => (typeof html === "string" ? html.replace(/<[^>]+>/g, "") : "");
+
+const withProvider = (providerId) => (summary) => (summary ? { ...summary, provider: providerId } : null);
+
+function toWikidataShow(item) {
+  return {
+    id: `wd-${item.wikidataId}`,
+    name: item.name,
+    genres: [],
+    status: null,
+    summary: "",
+    image: item.image || null,
+    premiered: item.releaseDate || null,
+    nextEpisode: null,
+    contentType: item.contentType || "movies",
+    imdbId: item.imdbId || null,
+    externalIds: mergeExternalIds(item.externalIds, { wikidata: item.wikidataId }),
+    provider: "wikidata"
+  };
+}
+
+const tvmazeProvider = {
+  id: "tvmaze",
+  contentTypes: ["tv"],
+  idPrefix: "",
+  externalIdKind: "tvmaze",
+  staleAfterMs: TWO_HOURS_MS,
+
+  getNativeId(show) {
+    return show.id;
+  },
+
+  async search(query) {
+    const results = await searchShows(query);
+    return results.map(withProvider("tvmaze"));
+  },
+
+  // Served from the IndexedDB episode cache unless TVmaze reports a change
+  async getShow(show) {
+    const info = await getCachedShow(show.id);
+    if (!info) return null;
+    return {
+      name: info.name,
+      image: info.image?.medium || info.image?.original || null,
+      genres: info.genres || [],
+      status: info.status || null,
+      premiered: info.premiered || null,
+      summary: stripHtml(info.summary),
+      externalIds: {
+        tvmaze: info.id,
+        imdb: info.externals?.imdb || null,
+        thetvdb: info.externals?.thetvdb || null
+      }
+    };
+  },
+
+  getEpisodes(show) {
+    return getCachedEpisodes(show.id);
+  },
+
+  getNextRelease(show, episodes) {
+    return computeNextEpisode(episodes);
+  },
+
+  async lookupByExternalId(kind, value) {
+    if (kind === "tvmaze") {
+      const info = await fetchShow(value);
+      return info ? withProvider("tvmaze")({ ...info, image: info.image?.medium || null, summary: stripHtml(info.summary) }) : null;
+    }
+    if (kind !== "imdb" && kind !== "thetvdb") return null;
+    return withProvider("tvmaze")(await lookupTvmazeByExternalId(kind, value));
+  }
+};
+
+const wikidataProvider = {
+  id: "wikidata",
+  contentTypes: ["movies"],
+  idPrefix: "wd-",
+  externalIdKind: "wikidata",
+  staleAfterMs: MOVIE_RELEASE_TTL_MS,
+
+  getNativeId(show) {
+    return getMovieQid(show);
+  },
+
+  async search(query) {
+    const results = await searchWikidataByTitle(query, ["movies"]);
+    return results.map(toWikidataShow);
+  },
+
+  // Only release dates come from Wikidata; names and art were set when added
+  async getShow(show) {
+    const qid = getMovieQid(show);
+    if (!qid || show.contentType !== "movies") return null;
+    const releaseDates = await loadMovieReleaseDates(qid);
+    return releaseDates ? { releaseDates, externalIds: { wikidata: qid } } : null;
+  },
+
+  async getEpisodes() {
+    return [];
+  },
+
+  getNextRelease(show, episodes, details) {
+    return computeNextRelease(details?.releaseDates);
+  },
+
+  async lookupByExternalId(kind, value) {
+    const item = await lookupMovieByExternalId(kind, value);
+    return item ? toWikidataShow(item) : null;
+  }
+};
+
+const jikanProvider = {
+  id: "jikan",
+  contentTypes: ["anime"],
+  idPrefix: "jikan-",
+  externalIdKind: "mal",
+  staleAfterMs: TWO_HOURS_MS,
+
+  getNativeId(show) {
+    return getMalId(show);
+  },
+
+  async search(query) {
+    const results = await searchAnime(query);
+    return results.map(withProvider("jikan"));
+  },
+
+  async getShow(show) {
+    const anime = await fetchAnime(getMalId(show));
+    return anime ? { ...anime, externalIds: { mal: anime.malId } } : null;
+  },
+
+  getEpisodes(show, details) {
+    return fetchAnimeEpisodes(getMalId(show), details);
+  },
+
+  getNextRelease(show, episodes, details) {
+    return computeNextAnimeEpisode(details, episodes);
+  },
+
+  async lookupByExternalId(kind, value) {
+    if (kind !== "mal") return null;
+    return withProvider("jikan")(await fetchAnime(Number(value)));
+  }
+};
+
+const PROVIDERS = [tvmazeProvider, wikidataProvider, jikanProvider];
+
+export function getProvider(providerId) {
+  return PROVIDERS.find(provider => provider.id === providerId) || null;
+}
+
+/**
+ * Provider a show's data comes from
+ * @param {Object} show - Tracked show or search result
+ * @returns {Object} - Provider (TVmaze when nothing else matches)
+ */
+export function getShowProvider(show) {
+  const stored = getProvider(show?.provider);
+  if (stored) return stored;
+  const id = String(show?.id || "");
+  return PROVIDERS.find(provider => provider.idPrefix && id.startsWith(provider.idPrefix)) || tvmazeProvider;
+}
+
+export function getProviderForContentType(contentType) {
+  return PROVIDERS.find(provider => provider.contentTypes.includes(contentType)) || tvmazeProvider;
+}
+
+/**
+ * Whether a tracked show's data should be fetched again: synced from another
+ * device, its next episode/release has passed, or its data is stale
+ * @param {Object} show - Tracked show
+ * @returns {boolean}
+ */
+export function showNeedsRefresh(show) {
+  if (show.needsRefresh) return true;
+
+  const isMovie = show.contentType === "movies";
+  const next = isMovie ? show.nextRelease : show.nextEpisode;
+  const nextTime = next?.airstamp ? Date.parse(next.airstamp) : 0;
+  if (nextTime > 0 && nextTime < Date.now()) return true;
+
+  const last = Date.parse((isMovie ? show.releaseDatesFetchedAt : show.allEpisodesLastFetchedAt) || "");
+  return Number.isNaN(last) || Date.now() - last > getShowProvider(show).staleAfterMs;
+}
+
+/**
+ * Fetch fresh data for a tracked show from its provider
+ * @param {Object} show - Tracked show
+ * @returns {Promise<Object|null>} - Updated show, or null when the provider had nothing
+ */
+export async function refreshShow(show) {
+  const provider = getShowProvider(show);
+  const details = await provider.getShow(show);
+  if (!details) return null;
+
+  const episodes = await provider.getEpisodes(show, details);
+  const next = provider.getNextRelease(show, episodes, details);
+  const fetchedAt = new Date().toISOString();
+
+  const updated = {
+    ...show,
+    provider: provider.id,
+    name: details.name || show.name,
+    image: details.image || show.image || null,
+    genres: details.genres?.length ? details.genres : show.genres || [],
+    status: details.status || show.status || "Unknown",
+    summary: details.summary || show.summary || "",
+    externalIds: mergeExternalIds(show.externalIds, details.externalIds),
+    needsRefresh: false
+  };
+
+  if (show.contentType === "movies") {
+    return {
+      ...updated,
+      releaseDates: details.releaseDates || null,
+      nextRelease: next,
+      releaseDatesFetchedAt: fetchedAt
+    };
+  }
+
+  return {
+    ...updated,
+    nextEpisode: next,
+    lastAiredEpisode: computeLastAiredEpisode(episodes),
+    ...deriveWatchState(updated, episodes),
+    allEpisodesLastFetchedAt: fetchedAt
+  };
+}
@@ -0,0 +1,21 @@
+// Show field lists used by both the Supabase sync and the list snapshots.
+// It imports nothing, so neither of them has to import the other.
+
+// User-owned show fields synced to Supabase as [show key, column, default].
+// API-derived fields (image, summary, genres, episodes) are refetched on each
+// device instead.
+export const SYNCED_SHOW_FIELDS = [
+  ["name", "name", null],
+  ["contentType", "content_type", "tv"],
+  ["watched", "watched", false],
+  ["watchedAt", "watched_at", null],
+  ["priority", "priority", false],
+  ["watchLink", "watch_link", null],
+  ["watchedEpisode", "watched_episode", 0],
+  ["watchedEpisodes", "watched_episodes", null],
+  ["lastWatchedAt", "last_watched_at", null],
+  ["notes", "notes", null],
+  ["reminderLeadTimes", "reminder_lead_times", []],
+  ["muted", "muted", false],
+  ["addedAt", "added_at", null]
+];
@@ -0,0 +1,220 @@
+// Cross-provider identity for tracked titles. One title can be known by its
+// TVmaze id, IMDb id, MyAnimeList id, Wikidata QID, TheTVDB id and TMDb id;
+// show.externalIds keeps every id found so far, and two entries sharing any
+// of them are the same title. Ids are resolved through Wikidata (P8600 TVmaze,
+// P4086 MyAnimeList, P345 IMDb...) and TVmaze's /lookup/shows.
+
+import { lookupByExternalId as lookupTvmazeByExternalId } from "./tvmazeApi.js";
+import { fetchWikidataExternalIds } from "./wikidataApi.js";
+import {
+  getShowProvider,
+  mergeExternalIds,
+  showNeedsRefresh,
+  refreshShow
+} from "./providers.js";
+
+export const EXTERNAL_ID_KINDS = ["tvmaze", "imdb", "mal", "wikidata", "thetvdb", "tmdb"];
+
+// Titles are cross-referenced again after this long, in case Wikidata or
+// TVmaze gained a match
+const IDENTITY_RECHECK_MS = 30 * 24 * 60 * 60 * 1000;
+
+function normalizeExternalId(kind, value) {
+  if (value == null || value === "") return null;
+  const id = String(value).trim();
+  if (kind === "imdb") return /^\d+$/.test(id) ? `tt${id}` : id;
+  return id;
+}
+
+/**
+ * Every known external id of a show: show.externalIds, the legacy
+ * tvmazeId/imdbId/malId/wikidataId fields and the provider's own id
+ * @param {Object} show - Tracked show or search result
+ * @returns {Object} - Map of kind -> id string
+ */
+export function getExternalIds(show) {
+  const provider = getShowProvider(show);
+  const sources = {
+    ...(show?.externalIds || {}),
+    [provider.externalIdKind]: provider.getNativeId(show)
+  };
+  const legacy = { tvmaze: show?.tvmazeId, imdb: show?.imdbId, mal: show?.malId, wikidata: show?.wikidataId };
+  for (const [kind, value] of Object.entries(legacy)) {
+    if (sources[kind] == null) sources[kind] = value;
+  }
+
+  const ids = {};
+  for (const kind of EXTERNAL_ID_KINDS) {
+    const id = normalizeExternalId(kind, sources[kind]);
+    if (id) ids[kind] = id;
+  }
+  return ids;
+}
+
+function getIdentityKeys(show) {
+  return Object.entries(getExternalIds(show)).map(([kind, id]) => `${kind}:${id}`);
+}
+
+/**
+ * Find a tracked show that is the same title as the candidate
+ * @param {Object[]} shows - Tracked shows
+ * @param {Object} candidate - Show to look for
+ * @returns {Object|null}
+ */
+export function findMatchingShow(shows, candidate) {
+  const keys = new Set(getIdentityKeys(candidate));
+  return shows.find(show =>
+    String(show.id) === String(candidate.id) || getIdentityKeys(show).some(key => keys.has(key))
+  ) || null;
+}
+
+// Fold a duplicate entry's user data into the one being kept. Fields neither
+// entry has stay unset.
+function mergeDuplicate(keep, duplicate) {
+  const merged = {
+    ...keep,
+    externalIds: mergeExternalIds(getExternalIds(keep), getExternalIds(duplicate))
+  };
+
+  for (const field of ["watched", "priority"]) {
+    if (keep[field] || duplicate[field]) merged[field] = true;
+  }
+  for (const field of ["watchedAt", "watchLink", "notes"]) {
+    if (!keep[field] && duplicate[field]) merged[field] = duplicate[field];
+  }
+  if (duplicate.reminderLeadTimes?.length) {
+    merged.reminderLeadTimes = [...new Set([...(keep.reminderLeadTimes || []), ...duplicate.reminderLeadTimes])];
+  }
+  if (duplicate.watchedEpisodes) {
+    merged.watchedEpisodes = { ...duplicate.watchedEpisodes, ...(keep.watchedEpisodes || {}) };
+  }
+  if (duplicate.lastWatchedAt && !(keep.lastWatchedAt >= duplicate.lastWatchedAt)) {
+    merged.lastWatchedAt = duplicate.lastWatchedAt;
+  }
+  if (duplicate.addedAt && !(keep.addedAt <= duplicate.addedAt)) {
+    merged.addedAt = duplicate.addedAt;
+  }
+  return merged;
+}
+
+/**
+ * Collapse entries that share any external id into one, keeping the first
+ * one's position and data and merging the others' user data into it
+ * @param {Object[]} shows - Tracked shows
+ * @returns {Object[]} - The same array when there were no duplicates
+ */
+export function dedupeShows(shows) {
+  const result = [];
+  let merged = false;
+  for (const show of shows) {
+    const match = findMatchingShow(result, show);
+    if (!match) {
+      result.push(show);
+      continue;
+    }
+    result[result.indexOf(match)] = mergeDuplicate(match, show);
+    merged = true;
+  }
+  return merged ? result : shows;
+}
+
+// Identity lookups run one at a time so a first check of a long list does
+// not flood Wikidata with parallel queries
+let identityQueue = Promise.resolve();
+
+function needsIdentityCheck(show) {
+  const checkedAt = Date.parse(show.identityResolvedAt || "");
+  return Number.isNaN(checkedAt) || Date.now() - checkedAt > IDENTITY_RECHECK_MS;
+}
+
+/**
+ * Look up a show's ids on Wikidata and TVmaze. A Wikidata entry that TVmaze
+ * turns out to know is upgraded in place to a TVmaze show, keeping its user
+ * data; it is marked needsRefresh so its episodes are fetched next.
+ * @param {Object} show - Tracked show
+ * @returns {Promise<Object>} - Updated show
+ */
+export async function resolveShowIdentity(show) {
+  let ids = getExternalIds(show);
+
+  const fromWikidata = await fetchWikidataExternalIds(ids);
+  if (fromWikidata) ids = mergeExternalIds(ids, fromWikidata);
+
+  if (!ids.tvmaze && (ids.imdb || ids.thetvdb)) {
+    const match = ids.imdb
+      ? await lookupTvmazeByExternalId("imdb", ids.imdb)
+      : await lookupTvmazeByExternalId("thetvdb", ids.thetvdb);
+    if (match?.id) ids = mergeExternalIds(ids, { tvmaze: match.id });
+  }
+
+  const resolved = {
+    ...show,
+    externalIds: ids,
+    identityResolvedAt: new Date().toISOString()
+  };
+
+  if (getShowProvider(show).id !== "wikidata" || !ids.tvmaze) return resolved;
+
+  console.log(`[showIdentity] Upgrading ${show.name} (${show.id}) to TVmaze show ${ids.tvmaze}`);
+  const { releaseDates, nextRelease, releaseDatesFetchedAt, ...rest } = resolved;
+  return {
+    ...rest,
+    id: Number(ids.tvmaze),
+    provider: "tvmaze",
+    contentType: "tv",
+    tvmazeId: Number(ids.tvmaze),
+    needsRefresh: true
+  };
+}
+
+/**
+ * Bring a tracked show up to date: refetch stale data from its provider and
+ * cross-reference its ids when they have not been checked recently
+ * @param {Object} show - Tracked show
+ * @returns {Promise<Object>} - The same object when nothing changed
+ */
+export async function updateTrackedShow(show) {
+  let current = show;
+  if (showNeedsRefresh(current)) {
+    current = (await refreshShow(current)) || current;
+  }
+
+  if (needsIdentityCheck(current)) {
+    const before = current;
+    const lookup = identityQueue.then(() => resolveShowIdentity(before));
+    identityQueue = lookup.catch(() => {});
+    const resolved = await lookup;
+    // An upgraded show has a new provider; fetch its data right away
+    current = getShowProvider(resolved).id !== getShowProvider(before).id
+      ? (await refreshShow(resolved)) || resolved
+      : resolved;
+  }
+
+  return current;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Apply a refresh to the stored copy of a show, which may have been edited
+ * while the refresh was fetching. Fields the refresh changed are taken from
+ * it unless the stored copy changed them too, so a watched mark, a note or a
+ * synced change made in the meantime is kept.
+ * @param {Object} original - Show the refresh started from
+ * @param {Object} refreshed - Result of updateTrackedShow
+ * @param {Object} current - The show as stored now
+ * @returns {Object} - current itself when the refresh changed nothing
+ */
+export function mergeRefreshedShow(original, refreshed, current) {
+  if (refreshed === original) return current;
+  const merged = { ...current };
+  for (const key of new Set([...Object.keys(original), ...Object.keys(refreshed)])) {
+    if (sameValue(original[key], refreshed[key]) || !sameValue(original[key], current[key])) continue;
+    if (refreshed[key] === undefined) {
+      delete merged[key];
+    } else {
+      merged[key] = refreshed[key];
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,126 @@
+// Restore points for the tracked lists. Every shows_* key gets a snapshot a
+// day, plus one before anything that rewrites it wholesale: an import or
+// replace, merging a guest list into an account, a sync that removes shows,
+// and a restore itself. Snapshots live in IndexedDB, keyed
+// "<shows key>:<timestamp>", so they don't weigh on chrome.storage.local.
+
+import { idbGetAll, idbPut, idbDelete } from "./idbStore.js";
+import { SYNCED_SHOW_FIELDS } from "./showFields.js";
+
+const STORE = "snapshots";
+const DAILY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Daily and event snapshots are kept separately, so a burst of imports
+// can't push out last week's lists
+const MAX_DAILY_SNAPSHOTS = 7;
+const MAX_EVENT_SNAPSHOTS = 10;
+
+export const SNAPSHOT_REASON_LABELS = {
+  daily: "Daily backup",
+  import: "Before import",
+  replace: "Before replace",
+  migration: "Before merging guest shows",
+  sync: "Before sync removed shows",
+  restore: "Before restore"
+};
+
+function getKeyRange(showsKey) {
+  return IDBKeyRange.bound(`${showsKey}:`, `${showsKey}:\uffff`);
+}
+
+const isDaily = (snapshot) => snapshot.reason === "daily";
+
+/**
+ * Snapshots of one tracked list, newest first
+ * @param {string} showsKey - chrome.storage.local key of the list
+ * @returns {Promise<Object[]>} - { key, showsKey, createdAt, reason, showCount, shows }
+ */
+export async function listSnapshots(showsKey) {
+  const snapshots = await idbGetAll(STORE, getKeyRange(showsKey));
+  return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+async function pruneSnapshots(showsKey) {
+  const snapshots = await listSnapshots(showsKey);
+  const expired = [
+    ...snapshots.filter(isDaily).slice(MAX_DAILY_SNAPSHOTS),
+    ...snapshots.filter(s => !isDaily(s)).slice(MAX_EVENT_SNAPSHOTS)
+  ];
+  if (expired.length) await idbDelete(STORE, expired.map(s => s.key));
+}
+
+/**
+ * Save a restore point of a list. Empty lists, and lists identical to the
+ * latest snapshot of the same kind, are skipped.
+ * @param {string} showsKey - chrome.storage.local key of the list
+ * @param {Object[]} shows - The list as it is now
+ * @param {string} reason - Key of SNAPSHOT_REASON_LABELS
+ * @returns {Promise<Object|null>} - The snapshot, or null when none was saved
+ */
+export async function createSnapshot(showsKey, shows, reason) {
+  if (!showsKey || !Array.isArray(shows) || !shows.length) return null;
+
+  try {
+    const latest = (await listSnapshots(showsKey)).find(s => isDaily(s) === (reason === "daily"));
+    if (latest && JSON.stringify(latest.shows) === JSON.stringify(shows)) return null;
+
+    const createdAt = Date.now();
+    const snapshot = {
+      key: `${showsKey}:${createdAt}`,
+      showsKey,
+      createdAt,
+      reason,
+      showCount: shows.length,
+      shows
+    };
+    await idbPut(STORE, snapshot);
+    await pruneSnapshots(showsKey);
+    return snapshot;
+  } catch (err) {
+    // A failed backup must not block the change it precedes
+    console.warn("[showSnapshots] Snapshot failed:", err);
+    return null;
+  }
+}
+
+/**
+ * Take the daily snapshot of every tracked list that is due one
+ * @returns {Promise<void>}
+ */
+export async function takeDailySnapshots() {
+  const data = await chrome.storage.local.get(null);
+  const showKeys = Object.keys(data).filter(key => key.startsWith("shows_") && !key.endsWith("_ids"));
+
+  for (const showsKey of showKeys) {
+    const lastDaily = (await listSnapshots(showsKey).catch(() => [])).find(isDaily);
+    if (lastDaily && Date.now() - lastDaily.createdAt < DAILY_INTERVAL_MS) continue;
+    await createSnapshot(showsKey, data[showsKey], "daily");
+  }
+}
+
+function userFieldsDiffer(a, b) {
+  return SYNCED_SHOW_FIELDS.some(([key, , fallback]) =>
+    JSON.stringify(a[key] ?? fallback) !== JSON.stringify(b[key] ?? fallback)
+  );
+}
+
+/**
+ * What restoring a snapshot would change
+ * @param {Object[]} current - The list as it is now
+ * @param {Object[]} snapshotShows - The snapshot's list
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}} - Shows
+ *   the restore brings back, drops, and whose user data (watched state,
+ *   priority, notes...) it reverts
+ */
+export function diffShowLists(current, snapshotShows) {
+  const currentById = new Map(current.map(show => [String(show.id), show]));
+  const snapshotIds = new Set(snapshotShows.map(show => String(show.id)));
+
+  return {
+    added: snapshotShows.filter(show => !currentById.has(String(show.id))),
+    removed: current.filter(show => !snapshotIds.has(String(show.id))),
+    changed: snapshotShows.filter(show => {
+      const now = currentById.get(String(show.id));
+      return now && userFieldsDiffer(now, show);
+    })
+  };
+}
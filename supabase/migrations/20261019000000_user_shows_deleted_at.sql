@@ -0,0 +1,7 @@
+-- Soft-delete removed shows so the removal syncs to other devices.
+-- A row with deleted_at set is a tombstone; upserting the show again clears it.
+alter table public.user_shows
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists user_shows_user_id_deleted_at_idx
+  on public.user_shows (user_id, deleted_at);
@@ -0,0 +1,19 @@
+-- Sync every user-owned show field instead of the 15-character name stub.
+-- API-derived data (image, summary, genres, episodes) stays device-local and
+-- is refetched from TVmaze/Wikidata.
+alter table public.user_shows
+  add column if not exists name text,
+  add column if not exists watched_at timestamptz,
+  add column if not exists watch_link text,
+  add column if not exists watched_episode integer not null default 0,
+  add column if not exists watched_episodes jsonb,
+  add column if not exists last_watched_at timestamptz,
+  add column if not exists notes text,
+  add column if not exists reminder_lead_times integer[] not null default '{}',
+  add column if not exists muted boolean not null default false,
+  add column if not exists added_at timestamptz;
+
+-- Existing rows only carry the truncated name until the owning device syncs again
+update public.user_shows
+  set name = name_short
+  where name is null;
@@ -0,0 +1,4 @@
+-- Per-field edit timestamps ({ "<showField>": "<ISO time>" }) so concurrent
+-- edits from two devices merge field by field, newest edit winning.
+alter table public.user_shows
+  add column if not exists field_updated_at jsonb not null default '{}'::jsonb;
@@ -0,0 +1,7 @@
+-- Broadcast user_shows row changes over Supabase Realtime. Row level security
+-- on user_shows limits each subscriber to their own rows.
+alter publication supabase_realtime add table public.user_shows;
+
+-- Include the full old row in UPDATE/DELETE events so clients can identify
+-- the show that changed
+alter table public.user_shows replica identity full;
@@ -0,0 +1,202 @@
+// Live user_shows changes over Supabase Realtime (Phoenix channels on a
+// websocket). The socket reconnects with backoff; while it is down, or if
+// the WebSocket cannot be opened at all, callers are polled instead.
+//
+// The socket URL can be overridden with chrome.storage.local
+// supabaseRealtimeUrl, e.g. "ws://localhost:4000/socket/websocket?vsn=1.0.0"
+// for a local mock Phoenix server. The tests swap WebSocket for the
+// in-memory server in test/support/phoenixMock.js.
+
+import {
+  SUPABASE_URL,
+  SUPABASE_ANON_KEY,
+  SUPABASE_SESSION_KEY,
+  getValidSession
+} from "./supabaseAuth.js";
+
+export const REALTIME_URL_KEY = "supabaseRealtimeUrl";
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30 * 1000;
+// Consecutive failed connects before falling back to polling
+const MAX_FAILED_CONNECTS = 3;
+const POLL_INTERVAL_MS = 60 * 1000;
+
+export function getDefaultRealtimeUrl() {
+  const wsBase = SUPABASE_URL.replace(/^http/, "ws");
+  return `${wsBase}/realtime/v1/websocket?apikey=${encodeURIComponent(SUPABASE_ANON_KEY)}&vsn=1.0.0`;
+}
+
+async function getRealtimeUrl() {
+  const data = await chrome.storage.local.get(REALTIME_URL_KEY);
+  return data[REALTIME_URL_KEY] || getDefaultRealtimeUrl();
+}
+
+/**
+ * Subscribe to inserts, updates and deletes on the user's user_shows rows
+ * @param {Object} options
+ * @param {string} options.userId - Supabase user id
+ * @param {Function} options.onChange - Called with { type, record, oldRecord } per row change
+ * @param {Function} options.onPoll - Called periodically while realtime is unavailable,
+ *   and once after reconnecting to catch up on missed changes
+ * @param {Function} [options.onStatus] - Called with "connecting", "live", "polling" or "stopped"
+ * @returns {{stop: Function}}
+ */
+export function subscribeToShowChanges({ userId, onChange, onPoll, onStatus = () => {} }) {
+  const topic = `realtime:user_shows:${userId}`;
+  let socket = null;
+  let ref = 0;
+  let joinRef = null;
+  let joined = false;
+  let hasJoined = false;
+  let failedConnects = 0;
+  let stopped = false;
+  let heartbeatTimer = null;
+  let reconnectTimer = null;
+  let pollTimer = null;
+
+  const send = (event, payload, messageTopic = topic) => {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+    ref += 1;
+    socket.send(JSON.stringify({
+      topic: messageTopic,
+      event,
+      payload,
+      ref: String(ref),
+      join_ref: messageTopic === topic ? joinRef : null
+    }));
+  };
+
+  const startPolling = () => {
+    if (pollTimer || stopped) return;
+    onStatus("polling");
+    pollTimer = setInterval(onPoll, POLL_INTERVAL_MS);
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    failedConnects += 1;
+    if (failedConnects >= MAX_FAILED_CONNECTS) startPolling();
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** failedConnects, RECONNECT_MAX_DELAY_MS);
+    reconnectTimer = setTimeout(connect, delay);
+  };
+
+  const handleMessage = (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+    if (message.topic !== topic) return;
+
+    if (message.event === "phx_reply" && message.ref === joinRef) {
+      if (message.payload?.status !== "ok") {
+        console.warn("[realtime] Join rejected:", message.payload?.response);
+        socket.close();
+        return;
+      }
+      joined = true;
+      failedConnects = 0;
+      stopPolling();
+      onStatus("live");
+      // Changes made while the socket was down were never delivered
+      if (hasJoined) onPoll();
+      hasJoined = true;
+      return;
+    }
+
+    if (message.event === "postgres_changes") {
+      const change = message.payload?.data;
+      if (!change?.type) return;
+      onChange({
+        type: change.type,
+        record: change.record || null,
+        oldRecord: change.old_record || null
+      });
+      return;
+    }
+
+    if (message.event === "phx_error" || message.event === "phx_close") {
+      socket.close();
+    }
+  };
+
+  // Realtime checks row access with the user's JWT, so hand it each new token
+  const handleStorageChange = (changes, areaName) => {
+    const session = changes[SUPABASE_SESSION_KEY]?.newValue;
+    if (areaName !== "local" || !session?.access_token || !joined) return;
+    send("access_token", { access_token: session.access_token });
+  };
+
+  async function connect() {
+    if (stopped) return;
+    if (typeof WebSocket === "undefined") {
+      startPolling();
+      return;
+    }
+
+    const session = await getValidSession();
+    if (!session || stopped) {
+      startPolling();
+      return;
+    }
+
+    try {
+      socket = new WebSocket(await getRealtimeUrl());
+    } catch (err) {
+      console.warn("[realtime] Could not open socket:", err);
+      socket = null;
+      scheduleReconnect();
+      return;
+    }
+    onStatus("connecting");
+
+    socket.addEventListener("open", () => {
+      joinRef = String(ref + 1);
+      send("phx_join", {
+        config: {
+          broadcast: { self: false },
+          presence: { key: "" },
+          postgres_changes: [{
+            event: "*",
+            schema: "public",
+            table: "user_shows",
+            filter: `user_id=eq.${userId}`
+          }]
+        },
+        access_token: session.access_token
+      });
+      heartbeatTimer = setInterval(() => send("heartbeat", {}, "phoenix"), HEARTBEAT_INTERVAL_MS);
+    });
+    socket.addEventListener("message", (event) => handleMessage(event.data));
+    // "error" is always followed by "close", which handles the reconnect
+    socket.addEventListener("close", () => {
+      clearInterval(heartbeatTimer);
+      joined = false;
+      socket = null;
+      scheduleReconnect();
+    });
+  }
+
+  chrome.storage.onChanged.addListener(handleStorageChange);
+  connect();
+
+  return {
+    stop() {
+      stopped = true;
+      clearInterval(heartbeatTimer);
+      clearTimeout(reconnectTimer);
+      stopPolling();
+      chrome.storage.onChanged.removeListener(handleStorageChange);
+      if (socket) socket.close();
+      onStatus("stopped");
+    }
+  };
+}
@@ -0,0 +1,621 @@
+// Supabase sync for the popup and the background service worker: REST helpers
+// for user_shows and a two-way merge with the local show list.
+// Every synced field carries its own timestamp (show.fieldUpdatedAt locally,
+// field_updated_at remotely), so the newest edit of each field wins and
+// unrelated edits made on two devices are both kept. show.syncedAt records
+// when a show last matched the server; a field edited on both sides since
+// then is logged as a conflict.
+
+import {
+  SUPABASE_URL,
+  isSupabaseConfigured,
+  getValidSession,
+  supabaseFetch
+} from "./supabaseAuth.js";
+import { createSnapshot } from "./showSnapshots.js";
+import { SYNCED_SHOW_FIELDS } from "./showFields.js";
+
+export const SYNC_LOG_KEY = "syncLog";
+// { userId, localKey } of the signed-in Supabase user, recorded on every sync
+// so the background worker knows which list to sync without popup state
+export const SYNC_TARGET_KEY = "supabaseSyncTarget";
+const SYNC_LOG_MAX_ENTRIES = 50;
+
+export const SUPABASE_SHOW_COLUMNS = [
+  "show_id",
+  "name_short",
+  ...SYNCED_SHOW_FIELDS.map(([, column]) => column),
+  "field_updated_at",
+  "updated_at",
+  "deleted_at"
+];
+
+export function mapShowsToSupabaseRows(userId, shows) {
+  return shows.map(show => {
+    const row = {
+      user_id: userId,
+      show_id: String(show.id),
+      // Still written for clients that only read the short name
+      name_short: (show.name || "").slice(0, 15)
+    };
+    for (const [key, column, fallback] of SYNCED_SHOW_FIELDS) {
+      row[column] = show[key] ?? fallback;
+    }
+    row.watched = Boolean(row.watched);
+    row.priority = Boolean(row.priority);
+    row.muted = Boolean(row.muted);
+    row.field_updated_at = show.fieldUpdatedAt || {};
+    // Upserting a show clears any earlier removal so re-adding works
+    row.deleted_at = null;
+    row.updated_at = new Date().toISOString();
+    return row;
+  });
+}
+
+/**
+ * Placeholder for a show that only exists remotely. needsRefresh makes the
+ * popup refetch the API-derived fields.
+ * @param {Object} row - user_shows row
+ * @returns {Object}
+ */
+export function buildShowFromSupabaseRow(row) {
+  const show = {
+    id: row.show_id,
+    image: null,
+    genres: [],
+    status: "Unknown",
+    summary: "",
+    nextEpisode: null,
+    needsRefresh: true
+  };
+  for (const [key, column, fallback] of SYNCED_SHOW_FIELDS) {
+    show[key] = row[column] ?? fallback;
+  }
+  show.name = row.name || row.name_short || "Loading...";
+  if (!show.watchedEpisodes) delete show.watchedEpisodes;
+  show.fieldUpdatedAt = { ...(row.field_updated_at || {}) };
+  return show;
+}
+
+// Key-order independent comparison; jsonb does not preserve object key order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function toTime(iso) {
+  const time = Date.parse(iso || "");
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// timestamptz columns come back as "...+00:00" rather than the "...Z" this
+// extension writes, so these fields are compared as instants
+const TIMESTAMP_FIELDS = new Set(["watchedAt", "lastWatchedAt", "addedAt"]);
+
+function valuesEqual(a, b, key) {
+  if (TIMESTAMP_FIELDS.has(key) && typeof a === "string" && typeof b === "string") {
+    return toTime(a) === toTime(b);
+  }
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Stamp fieldUpdatedAt for every synced field that differs from the
+ * previously stored copy of the show
+ * @param {Object[]} previousShows - Shows as last stored on this device
+ * @param {Object[]} shows - Shows about to be stored
+ * @returns {Object[]} - Shows with updated fieldUpdatedAt maps
+ */
+export function stampChangedFields(previousShows, shows) {
+  const now = new Date().toISOString();
+  const previousById = new Map((previousShows || []).map(s => [String(s.id), s]));
+
+  return shows.map(show => {
+    const previous = previousById.get(String(show.id));
+    const stamps = { ...(show.fieldUpdatedAt || {}) };
+    let stamped = false;
+    for (const [key, , fallback] of SYNCED_SHOW_FIELDS) {
+      const changed = previous
+        ? !valuesEqual(previous[key] ?? fallback, show[key] ?? fallback, key)
+        : show[key] !== undefined && !stamps[key];
+      if (changed) {
+        stamps[key] = now;
+        stamped = true;
+      }
+    }
+    return stamped ? { ...show, fieldUpdatedAt: stamps } : show;
+  });
+}
+
+function mergeShowWithRow(local, row, now) {
+  const syncedAt = toTime(local.syncedAt);
+  const localStamps = local.fieldUpdatedAt || {};
+  const remoteStamps = row.field_updated_at || {};
+  const merged = { ...local };
+  const stamps = { ...localStamps };
+  const pulled = [];
+  const pushed = [];
+  const conflicts = [];
+
+  for (const [key, column, fallback] of SYNCED_SHOW_FIELDS) {
+    const localValue = local[key] ?? fallback;
+    const remoteValue = row[column] ?? fallback;
+    if (valuesEqual(localValue, remoteValue, key)) continue;
+
+    const localTime = toTime(localStamps[key]);
+    const remoteTime = toTime(remoteStamps[key]);
+    if (syncedAt && localTime > syncedAt && remoteTime > syncedAt) {
+      conflicts.push(key);
+    }
+
+    // Ties (including two unstamped values) keep the local value, which is
+    // what this device shows the user
+    if (remoteTime > localTime) {
+      merged[key] = remoteValue;
+      stamps[key] = remoteStamps[key];
+      pulled.push(key);
+    } else {
+      pushed.push(key);
+    }
+  }
+
+  merged.fieldUpdatedAt = stamps;
+  if (pulled.length || pushed.length) {
+    merged.syncedAt = now;
+  }
+  return { show: merged, pulled, pushed, conflicts };
+}
+
+/**
+ * Merge live (non-deleted) Supabase rows into the local show list
+ * @param {Object[]} localShows - Shows stored on this device
+ * @param {Object[]} rows - Live user_shows rows
+ * @returns {{shows: Object[], toPush: Object[], changed: boolean, entries: Object[]}}
+ *   shows: merged list to store locally; toPush: shows the server is behind on;
+ *   entries: sync log entries describing what happened
+ */
+export function mergeShowsWithRows(localShows, rows) {
+  const now = new Date().toISOString();
+  const rowsById = new Map(rows.map(row => [String(row.show_id), row]));
+  const shows = [];
+  const toPush = [];
+  const entries = [];
+  let changed = false;
+
+  for (const local of localShows) {
+    const id = String(local.id);
+    const row = rowsById.get(id);
+    if (!row) {
+      const show = { ...local, syncedAt: now };
+      shows.push(show);
+      toPush.push(show);
+      changed = true;
+      entries.push({ action: "pushed", showId: id, name: local.name, fields: [] });
+      continue;
+    }
+    rowsById.delete(id);
+
+    const { show, pulled, pushed, conflicts } = mergeShowWithRow(local, row, now);
+    shows.push(show);
+    if (pulled.length || pushed.length) changed = true;
+    if (pushed.length) toPush.push(show);
+    if (conflicts.length) {
+      entries.push({ action: "conflict", showId: id, name: show.name, fields: conflicts });
+    }
+    if (pulled.length) {
+      entries.push({ action: "pulled", showId: id, name: show.name, fields: pulled });
+    }
+    if (pushed.length) {
+      entries.push({ action: "pushed", showId: id, name: show.name, fields: pushed });
+    }
+  }
+
+  // Shows added on another device
+  for (const row of rowsById.values()) {
+    const show = { ...buildShowFromSupabaseRow(row), syncedAt: now };
+    shows.push(show);
+    changed = true;
+    entries.push({ action: "pulled", showId: String(row.show_id), name: show.name, fields: [] });
+  }
+
+  return { shows, toPush, changed, entries };
+}
+
+export async function getSyncLog() {
+  const data = await chrome.storage.local.get(SYNC_LOG_KEY);
+  return Array.isArray(data[SYNC_LOG_KEY]) ? data[SYNC_LOG_KEY] : [];
+}
+
+/**
+ * Prepend entries to the sync log (newest first, capped)
+ * @param {Object[]} entries - { action, showId, name, fields }
+ */
+export async function appendSyncLog(entries) {
+  if (!entries.length) return;
+  const at = new Date().toISOString();
+  const log = await getSyncLog();
+  const updated = [...entries.map(entry => ({ at, ...entry })), ...log].slice(0, SYNC_LOG_MAX_ENTRIES);
+  await chrome.storage.local.set({ [SYNC_LOG_KEY]: updated });
+}
+
+// Drop local shows that another device removed (tombstoned rows). A show
+// re-added locally after the remote removal is kept so it can be re-synced.
+function applyRemoteDeletions(localShows, tombstoneRows) {
+  const deletedAt = new Map(tombstoneRows.map(row => [String(row.show_id), Date.parse(row.deleted_at)]));
+  return localShows.filter(show => {
+    const removedAt = deletedAt.get(String(show.id));
+    if (removedAt === undefined) return true;
+    const addedAt = Date.parse(show.addedAt || "");
+    return !Number.isNaN(addedAt) && addedAt > removedAt;
+  });
+}
+
+// fetch() rejects when offline or when Supabase is unreachable; the REST
+// helpers report that as an error like any failed response, so the sync
+// records the failure and schedules a retry
+function networkError(label, err) {
+  console.error(`[${label}] Network error:`, err);
+  return err?.message || "Network error";
+}
+
+export async function fetchSupabaseShows(userId) {
+  if (!isSupabaseConfigured()) return { rows: [], error: "Supabase not configured" };
+  const url = new URL(`${SUPABASE_URL}/rest/v1/user_shows`);
+  url.searchParams.set("select", SUPABASE_SHOW_COLUMNS.join(","));
+  url.searchParams.set("user_id", `eq.${userId}`);
+  try {
+    const response = await supabaseFetch(url.toString());
+    if (!response) return { rows: [], error: "No valid session" };
+    if (!response.ok) {
+      const text = await response.text();
+      console.error("[fetchSupabaseShows] Error:", response.status, text);
+      return { rows: [], error: text || "Fetch failed" };
+    }
+    const data = await response.json();
+    return { rows: Array.isArray(data) ? data : [], error: null };
+  } catch (err) {
+    return { rows: [], error: networkError("fetchSupabaseShows", err) };
+  }
+}
+
+export async function upsertSupabaseShows(userId, shows) {
+  if (!isSupabaseConfigured()) return { error: "Supabase not configured" };
+  const rows = mapShowsToSupabaseRows(userId, shows);
+  try {
+    const response = await supabaseFetch(`${SUPABASE_URL}/rest/v1/user_shows?on_conflict=user_id,show_id`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Prefer: "resolution=merge-duplicates"
+      },
+      body: JSON.stringify(rows)
+    });
+    if (!response) return { error: "No valid session" };
+    if (!response.ok) {
+      const text = await response.text();
+      console.error("[upsertSupabaseShows] Error:", response.status, text);
+      return { error: text || "Upsert failed" };
+    }
+    return { error: null };
+  } catch (err) {
+    return { error: networkError("upsertSupabaseShows", err) };
+  }
+}
+
+// Mark shows as removed instead of deleting the rows, so other devices see
+// the removal rather than treating the show as not yet synced
+export async function deleteSupabaseShows(userId, showIds) {
+  if (!isSupabaseConfigured()) return { error: "Supabase not configured" };
+  if (!showIds.length) return { error: null };
+  const url = new URL(`${SUPABASE_URL}/rest/v1/user_shows`);
+  url.searchParams.set("user_id", `eq.${userId}`);
+  url.searchParams.set("show_id", `in.(${showIds.map(id => `"${String(id).replace(/"/g, "")}"`).join(",")})`);
+  const now = new Date().toISOString();
+  try {
+    const response = await supabaseFetch(url.toString(), {
+      method: "PATCH",
+      headers: {
+        "Content-Type": "application/json",
+        Prefer: "return=minimal"
+      },
+      body: JSON.stringify({ deleted_at: now, updated_at: now })
+    });
+    if (!response) return { error: "No valid session" };
+    if (!response.ok) {
+      const text = await response.text();
+      console.error("[deleteSupabaseShows] Error:", response.status, text);
+      return { error: text || "Delete failed" };
+    }
+    return { error: null };
+  } catch (err) {
+    return { error: networkError("deleteSupabaseShows", err) };
+  }
+}
+
+// Outbox of mutations not yet confirmed by Supabase, per user:
+// { [userId]: { localKey, entries: { [showId]: { op, name, queuedAt } },
+//   attempts, nextAttemptAt } }. One entry per show, so repeated edits
+// coalesce into a single pending change. Upserts carry no payload: the
+// next successful sync pushes whatever the show looks like by then.
+export const OUTBOX_KEY = "supabaseOutbox";
+export const OUTBOX_RETRY_ALARM = "supabaseOutboxRetry";
+const OUTBOX_BASE_DELAY_MS = 30 * 1000;
+const OUTBOX_MAX_DELAY_MS = 30 * 60 * 1000;
+
+async function readOutbox() {
+  const data = await chrome.storage.local.get(OUTBOX_KEY);
+  return data[OUTBOX_KEY] || {};
+}
+
+async function updateUserOutbox(userId, update) {
+  const outbox = await readOutbox();
+  const userOutbox = outbox[userId] || { entries: {}, attempts: 0, nextAttemptAt: null };
+  update(userOutbox);
+  if (Object.keys(userOutbox.entries).length) {
+    outbox[userId] = userOutbox;
+  } else {
+    delete outbox[userId];
+  }
+  await chrome.storage.local.set({ [OUTBOX_KEY]: outbox });
+  return userOutbox;
+}
+
+function queueMutations(userId, localKey, mutations) {
+  const queuedAt = new Date().toISOString();
+  return updateUserOutbox(userId, userOutbox => {
+    userOutbox.localKey = localKey;
+    for (const { op, showId, name } of mutations) {
+      // Latest op wins: re-adding cancels a pending delete and vice versa
+      userOutbox.entries[showId] = { op, name, queuedAt };
+    }
+  });
+}
+
+// Drop entries the server has confirmed, unless the show was queued again
+// while the request was in flight
+function clearMutations(userId, op, queuedBefore, showIds = null) {
+  return updateUserOutbox(userId, userOutbox => {
+    for (const [showId, entry] of Object.entries(userOutbox.entries)) {
+      if (entry.op !== op || entry.queuedAt > queuedBefore) continue;
+      if (showIds && !showIds.has(showId)) continue;
+      delete userOutbox.entries[showId];
+    }
+  });
+}
+
+async function recordSyncFailure(userId) {
+  const userOutbox = await updateUserOutbox(userId, userOutbox => {
+    userOutbox.attempts = (userOutbox.attempts || 0) + 1;
+    const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (userOutbox.attempts - 1), OUTBOX_MAX_DELAY_MS);
+    userOutbox.nextAttemptAt = Date.now() + delay;
+  });
+  if (Object.keys(userOutbox.entries).length) {
+    chrome.alarms.create(OUTBOX_RETRY_ALARM, { when: userOutbox.nextAttemptAt });
+  }
+}
+
+async function recordSyncSuccess(userId) {
+  const userOutbox = await updateUserOutbox(userId, userOutbox => {
+    userOutbox.attempts = 0;
+    userOutbox.nextAttemptAt = null;
+  });
+  if (!Object.keys(userOutbox.entries).length) {
+    await chrome.alarms.clear(OUTBOX_RETRY_ALARM);
+  }
+}
+
+/**
+ * Queue show changes made outside a sync (the background refresh merging
+ * duplicates or re-keying a show) so the next sync sends them. Lists other
+ * than the one being synced are left alone.
+ * @param {string} localKey - chrome.storage.local key of the changed list
+ * @param {Object} changes
+ * @param {Object[]} [changes.removedShows] - Shows no longer in the list
+ * @param {Object[]} [changes.changedShows] - Shows added to the list
+ */
+export async function queueShowChanges(localKey, { removedShows = [], changedShows = [] }) {
+  if (!removedShows.length && !changedShows.length) return;
+  const data = await chrome.storage.local.get(SYNC_TARGET_KEY);
+  const target = data[SYNC_TARGET_KEY];
+  if (!target?.userId || target.localKey !== localKey) return;
+  await queueMutations(target.userId, localKey, [
+    ...removedShows.map(s => ({ op: "delete", showId: String(s.id), name: s.name })),
+    ...changedShows.map(s => ({ op: "upsert", showId: String(s.id), name: s.name }))
+  ]);
+}
+
+/**
+ * Number of shows with changes waiting to reach Supabase
+ * @param {string} userId - Supabase user id
+ * @returns {Promise<number>}
+ */
+export async function getPendingChangeCount(userId) {
+  const outbox = await readOutbox();
+  return Object.keys(outbox[userId]?.entries || {}).length;
+}
+
+/**
+ * Two-way sync of one user's show list. Records this device's changes in the
+ * outbox, replays pending removals, drops shows removed elsewhere, merges the
+ * remaining rows field by field (newest edit wins) and pushes whatever the
+ * server is behind on. Failures leave the outbox in place and schedule a
+ * retry with backoff.
+ * @param {string} userId - Supabase user id
+ * @param {string} localKey - chrome.storage.local key holding the show list
+ * @param {Object[]} localShows - Show list as currently stored
+ * @param {Object} [changes]
+ * @param {Object[]} [changes.removedShows] - Shows this device just removed
+ * @param {Object[]} [changes.changedShows] - Shows this device just edited or added
+ * @returns {Promise<{shows: Object[], remoteCount: number, error: string|null}>}
+ */
+export async function syncShowsWithSupabase(userId, localKey, localShows, { removedShows = [], changedShows = [] } = {}) {
+  const entries = [];
+  await chrome.storage.local.set({ [SYNC_TARGET_KEY]: { userId, localKey } });
+
+  // Record mutations before sending them so they survive a failed request
+  // or the popup closing mid-sync
+  const userOutbox = await queueMutations(userId, localKey, [
+    ...removedShows.map(s => ({ op: "delete", showId: String(s.id), name: s.name })),
+    ...changedShows.map(s => ({ op: "upsert", showId: String(s.id), name: s.name }))
+  ]);
+  // Entries queued after this point belong to a later sync
+  const queuedUntil = new Date().toISOString();
+  let deleteFailed = false;
+  let confirmedDeletes = null;
+
+  const pendingDeletes = Object.entries(userOutbox.entries).filter(([, entry]) => entry.op === "delete");
+  if (pendingDeletes.length) {
+    const { error } = await deleteSupabaseShows(userId, pendingDeletes.map(([showId]) => showId));
+    if (error) {
+      console.error("[syncShowsWithSupabase] ❌ Supabase delete failed:", error);
+      deleteFailed = true;
+    } else {
+      // Cleared and logged once this sync commits; until then a retry
+      // sends them again
+      confirmedDeletes = pendingDeletes;
+    }
+  }
+
+  const { rows: allRows, error } = await fetchSupabaseShows(userId);
+  if (error) {
+    await recordSyncFailure(userId);
+    await appendSyncLog(entries);
+    return { shows: localShows, remoteCount: 0, error };
+  }
+
+  // A removal still in the outbox must not be pulled back from the server
+  const stillDeleting = new Set(Object.keys(userOutbox.entries).filter(id => userOutbox.entries[id].op === "delete"));
+  const rows = allRows.filter(row => !row.deleted_at && !stillDeleting.has(String(row.show_id)));
+  const tombstones = allRows.filter(row => row.deleted_at);
+
+  const remaining = applyRemoteDeletions(localShows, tombstones);
+  if (remaining.length !== localShows.length) {
+    const remainingIds = new Set(remaining.map(s => String(s.id)));
+    const removedRemotely = localShows.filter(s => !remainingIds.has(String(s.id)));
+    console.log(`[syncShowsWithSupabase] 🗑️ Removing ${removedRemotely.length} shows deleted on another device`);
+    entries.push(...removedRemotely.map(s => ({ action: "pulled", showId: String(s.id), name: s.name, fields: ["removed"] })));
+  }
+
+  const merge = mergeShowsWithRows(remaining, rows);
+  if (merge.changed || remaining.length !== localShows.length) {
+    // The popup and the background worker both sync; if the list was saved
+    // while this request was in flight, leave it for the next sync rather
+    // than overwrite the newer edit
+    const current = await chrome.storage.local.get(localKey);
+    if (JSON.stringify(current[localKey] || []) !== JSON.stringify(localShows)) {
+      console.log("[syncShowsWithSupabase] Local shows changed during sync, retrying later");
+      chrome.alarms.create(OUTBOX_RETRY_ALARM, { when: Date.now() + OUTBOX_BASE_DELAY_MS });
+      return { shows: current[localKey] || [], remoteCount: allRows.length, error: null };
+    }
+    // Restore point in case the removals were a mistake on the other device
+    if (remaining.length !== localShows.length) {
+      await createSnapshot(localKey, localShows, "sync");
+    }
+    await chrome.storage.local.set({ [localKey]: merge.shows });
+  }
+  if (confirmedDeletes) {
+    entries.unshift(...confirmedDeletes.map(([showId, entry]) => ({ action: "pushed", showId, name: entry.name, fields: ["removed"] })));
+    await clearMutations(userId, "delete", queuedUntil, new Set(confirmedDeletes.map(([showId]) => showId)));
+  }
+
+  let mergeEntries = merge.entries;
+  if (merge.toPush.length) {
+    const { error: pushError } = await upsertSupabaseShows(userId, merge.toPush);
+    if (pushError) {
+      console.error("[syncShowsWithSupabase] ❌ Supabase upsert failed:", pushError);
+      mergeEntries = mergeEntries.filter(entry => entry.action !== "pushed");
+      await queueMutations(userId, localKey, merge.toPush.map(s => ({ op: "upsert", showId: String(s.id), name: s.name })));
+      await recordSyncFailure(userId);
+      await appendSyncLog([...entries, ...mergeEntries]);
+      return { shows: merge.shows, remoteCount: allRows.length, error: pushError };
+    }
+    console.log(`[syncShowsWithSupabase] ✅ Supabase upserted ${merge.toPush.length} shows`);
+  }
+
+  // The merge reconciled every show, so queued upserts are now on the server
+  await clearMutations(userId, "upsert", queuedUntil);
+  if (deleteFailed) {
+    await recordSyncFailure(userId);
+  } else {
+    await recordSyncSuccess(userId);
+  }
+  await appendSyncLog([...entries, ...mergeEntries]);
+  return { shows: merge.shows, remoteCount: allRows.length, error: null };
+}
+
+/**
+ * Apply one realtime row change to the stored show list. Only pulls: fields
+ * this device changed more recently are left for the next sync to push.
+ * @param {string} localKey - chrome.storage.local key holding the show list
+ * @param {{type: string, record: Object|null, oldRecord: Object|null}} change
+ * @returns {Promise<boolean>} - Whether the stored list changed
+ */
+export async function applyRemoteRowChange(localKey, { type, record, oldRecord }) {
+  const row = record || oldRecord;
+  if (!row?.show_id) return false;
+  const showId = String(row.show_id);
+
+  const stored = await chrome.storage.local.get(localKey);
+  const localShows = Array.isArray(stored[localKey]) ? stored[localKey] : [];
+  const index = localShows.findIndex(s => String(s.id) === showId);
+  const now = new Date().toISOString();
+  let shows = localShows;
+  let entry = null;
+
+  if (type === "DELETE" || record?.deleted_at) {
+    shows = type === "DELETE"
+      ? localShows.filter(s => String(s.id) !== showId)
+      : applyRemoteDeletions(localShows, [record]);
+    if (shows.length !== localShows.length) {
+      entry = { action: "pulled", showId, name: localShows[index]?.name, fields: ["removed"] };
+    }
+  } else if (index === -1) {
+    // Skip shows this device removed but has not told the server about yet
+    const outbox = await readOutbox();
+    if (outbox[row.user_id]?.entries[showId]?.op === "delete") return false;
+    const show = { ...buildShowFromSupabaseRow(record), syncedAt: now };
+    shows = [...localShows, show];
+    entry = { action: "pulled", showId, name: show.name, fields: [] };
+  } else {
+    const { show, pulled } = mergeShowWithRow(localShows[index], record, now);
+    if (pulled.length) {
+      shows = [...localShows];
+      shows[index] = show;
+      entry = { action: "pulled", showId, name: show.name, fields: pulled };
+    }
+  }
+
+  if (!entry) return false;
+  await chrome.storage.local.set({ [localKey]: shows });
+  await appendSyncLog([entry]);
+  return true;
+}
+
+export async function clearSyncTarget() {
+  await chrome.storage.local.remove(SYNC_TARGET_KEY);
+}
+
+/**
+ * Sync the last signed-in user's list without the popup (background alarms).
+ * Does nothing for guests, signed-out users or while sync is paused.
+ * @returns {Promise<boolean>} - Whether a sync ran successfully
+ */
+export async function syncStoredTarget() {
+  if (!isSupabaseConfigured()) return false;
+  const data = await chrome.storage.local.get(SYNC_TARGET_KEY);
+  const target = data[SYNC_TARGET_KEY];
+  if (!target?.userId || !target?.localKey) return false;
+  if (!await getValidSession()) return false;
+
+  const stored = await chrome.storage.local.get(target.localKey);
+  const localShows = Array.isArray(stored[target.localKey]) ? stored[target.localKey] : [];
+  const { error } = await syncShowsWithSupabase(target.userId, target.localKey, localShows);
+  if (error) {
+    console.warn("[syncStoredTarget] Sync failed:", error);
+    return false;
+  }
+  return true;
+}
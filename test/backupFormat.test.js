@@ -0,0 +1,195 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BACKUP_VERSION, BACKUP_SCHEMA, createBackup, readBackup, validateAgainstSchema } from "../backupFormat.js";
+
+const DEVICE_FIELDS = ["fieldUpdatedAt", "syncedAt", "needsRefresh"];
+
+const shows = [
+  {
+    id: 82,
+    name: "Game of Thrones",
+    contentType: "tv",
+    provider: "tvmaze",
+    image: "https://static.tvmaze.com/uploads/images/medium_portrait/190/476117.jpg",
+    genres: ["Drama", "Adventure", "Fantasy"],
+    status: "Ended",
+    summary: "<p>Seven noble families fight for control of Westeros.</p>",
+    premiered: "2011-04-17",
+    nextEpisode: null,
+    lastAiredEpisode: { id: 1623968, season: 8, number: 6, airstamp: "2019-05-20T01:00:00+00:00" },
+    allEpisodesLastFetchedAt: "2024-03-01T20:00:00.000Z",
+    watchLink: "https://www.max.com/shows/game-of-thrones",
+    priority: true,
+    watched: false,
+    watchedAt: null,
+    watchedEpisode: 0,
+    watchedEpisodes: { 4952: "2024-02-28T21:00:00.000Z", 4953: "2024-02-29T21:00:00.000Z" },
+    watchProgress: { nextToWatch: { id: 4954, season: 1, number: 3, name: "Lord Snow" }, unwatchedAired: 71, watchedCount: 2, airedCount: 73 },
+    lastWatchedAt: "2024-02-29T21:00:00.000Z",
+    notes: "Rewatch before the prequel",
+    reminderLeadTimes: [0, 60],
+    muted: false,
+    addedAt: "2024-01-10T09:30:00.000Z",
+    externalIds: { tvmaze: "82", imdb: "tt0944947" },
+    fieldUpdatedAt: { priority: "2024-01-10T09:30:00.000Z" },
+    syncedAt: "2024-03-01T20:16:00.000Z",
+    needsRefresh: false
+  },
+  {
+    id: "jikan-5114",
+    name: "Fullmetal Alchemist: Brotherhood",
+    contentType: "anime",
+    provider: "jikan",
+    image: null,
+    genres: ["Action"],
+    status: "Finished Airing",
+    summary: "",
+    priority: false,
+    watched: true,
+    watchedAt: "2023-11-02T18:00:00.000Z",
+    watchedEpisode: 0,
+    watchedEpisodes: null,
+    reminderLeadTimes: [],
+    muted: true,
+    addedAt: "2023-10-01T12:00:00.000Z",
+    externalIds: { mal: "5114" }
+  }
+];
+
+function withoutDeviceFields(show) {
+  const copy = { ...show };
+  for (const field of DEVICE_FIELDS) delete copy[field];
+  return copy;
+}
+
+test("an exported backup reads back unchanged apart from device fields", () => {
+  const file = JSON.parse(JSON.stringify(createBackup(shows, "Ana")));
+  const result = readBackup(file);
+
+  assert.equal(result.error, null);
+  assert.equal(result.version, BACKUP_VERSION);
+  assert.deepEqual(result.problems, []);
+  assert.deepEqual(result.shows, JSON.parse(JSON.stringify(shows.map(withoutDeviceFields))));
+});
+
+test("an exported backup matches the schema", () => {
+  assert.deepEqual(validateAgainstSchema(createBackup(shows, "Ana"), BACKUP_SCHEMA), []);
+});
+
+test("version 0 compressed arrays are expanded and refetched", () => {
+  const result = readBackup([[82, "Game of Thrones", "t", 1, 0], ["jikan-5114", "FMA", "a", 0, 1], [603, "The Matrix", "m", 0, 0]]);
+
+  assert.equal(result.error, null);
+  assert.equal(result.version, "0");
+  assert.deepEqual(result.problems, []);
+  assert.deepEqual(
+    result.shows.map(s => [s.id, s.name, s.contentType, s.provider, s.watched, s.priority, s.needsRefresh]),
+    [
+      [82, "Game of Thrones", "tv", "tvmaze", true, false, true],
+      ["jikan-5114", "FMA", "anime", "jikan", false, true, true],
+      [603, "The Matrix", "movies", "tvmaze", false, false, true]
+    ]
+  );
+  assert.deepEqual(result.shows[0].externalIds, { tvmaze: "82" });
+  assert.deepEqual(result.shows[1].externalIds, { mal: "5114" });
+});
+
+test("version 0 compressed objects are expanded", () => {
+  const result = readBackup([{ id: 82, n: "Game of Thrones", t: "tv", w: true, p: true }, { id: 1, t: "anime" }]);
+
+  assert.equal(result.error, null);
+  assert.equal(result.version, "0");
+  assert.deepEqual(
+    result.shows.map(s => [s.id, s.name, s.contentType, s.watched, s.priority]),
+    [
+      [82, "Game of Thrones", "tv", true, true],
+      [1, "Loading...", "anime", false, false]
+    ]
+  );
+});
+
+test("a bare 1.0 array gets the 1.1 defaults and 1.2 identity", () => {
+  const result = readBackup([
+    { id: 82, name: "Game of Thrones", image: { medium: "m.jpg", original: "o.jpg" }, watchedEpisode: 5, imdbId: "tt0944947" }
+  ]);
+
+  assert.equal(result.error, null);
+  assert.equal(result.version, "1.0");
+  assert.deepEqual(result.shows, [{
+    id: 82,
+    name: "Game of Thrones",
+    image: "m.jpg",
+    watchedEpisode: 5,
+    imdbId: "tt0944947",
+    contentType: "tv",
+    genres: [],
+    status: "Unknown",
+    summary: "",
+    priority: false,
+    watched: false,
+    provider: "tvmaze",
+    externalIds: { tvmaze: "82", imdb: "tt0944947" }
+  }]);
+});
+
+test("an enveloped 1.0 file is migrated like a bare one", () => {
+  const show = { id: 82, name: "Game of Thrones", image: { original: "o.jpg" } };
+  const enveloped = readBackup({ version: "1.0", shows: [show] });
+
+  assert.equal(enveloped.error, null);
+  assert.equal(enveloped.version, "1.0");
+  assert.deepEqual(enveloped.shows, readBackup([show]).shows);
+  assert.equal(enveloped.shows[0].image, "o.jpg");
+});
+
+test("a 1.1 file gains provider and externalIds from its legacy ids", () => {
+  const result = readBackup({
+    version: "1.1",
+    exportedAt: "2024-03-01T20:00:00.000Z",
+    exportedBy: "Ana",
+    showCount: 2,
+    shows: [
+      { id: "wd-Q1079", name: "Breaking Bad", contentType: "tv", tvmazeId: 169, imdbId: "tt0903747" },
+      { id: "jikan-5114", name: "Fullmetal Alchemist: Brotherhood", contentType: "anime", malId: 5114 }
+    ]
+  });
+
+  assert.equal(result.error, null);
+  assert.equal(result.version, "1.1");
+  assert.deepEqual(result.shows.map(s => s.provider), ["wikidata", "jikan"]);
+  assert.deepEqual(result.shows[0].externalIds, { tvmaze: "169", imdb: "tt0903747", wikidata: "Q1079" });
+  assert.deepEqual(result.shows[1].externalIds, { mal: "5114" });
+  // Fields hand-edited out of a 1.1 file are still defaulted
+  assert.equal(result.shows[0].status, "Unknown");
+  assert.equal(result.shows[0].watched, false);
+});
+
+test("invalid shows are reported one by one and the rest imported", () => {
+  const file = createBackup(shows, "Ana");
+  file.shows.push(
+    { id: 7, name: "Movie Night", contentType: "film" },
+    { id: 8, name: "", contentType: "tv", watchedEpisode: -1 },
+    { name: "No Id", contentType: "tv" }
+  );
+
+  const result = readBackup(JSON.parse(JSON.stringify(file)));
+
+  assert.equal(result.error, null);
+  assert.deepEqual(result.shows.map(s => s.id), [82, "jikan-5114"]);
+  assert.deepEqual(result.problems, [
+    { index: 2, name: "Movie Night", errors: ["contentType: must be one of tv, anime, movies"] },
+    { index: 3, name: "Show 4", errors: ["name: must not be empty", "watchedEpisode: must be at least 0"] },
+    { index: 4, name: "No Id", errors: ["id: required"] }
+  ]);
+});
+
+test("unknown versions and non-backups are rejected", () => {
+  const newer = readBackup({ version: "9", shows: [] });
+  assert.equal(newer.version, "9");
+  assert.match(newer.error, /^Unknown backup version "9"/);
+  assert.deepEqual(newer.shows, []);
+
+  assert.equal(readBackup(null).error, "Not a backup file.");
+  assert.equal(readBackup({ version: BACKUP_VERSION }).error, "The file has no shows list.");
+  assert.match(readBackup({ version: BACKUP_VERSION, shows: [], showCount: -1 }).error, /^Invalid backup file: showCount/);
+});
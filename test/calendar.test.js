@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCalendarEntries, getCalendarRange } from "../calendar.js";
+
+const now = Date.parse("2026-10-19T12:00:00Z");
+const range = getCalendarRange("week", now);
+const airstamp = "2026-10-20T12:00:00+00:00";
+
+function labels(shows, episodesByShow) {
+  return [...buildCalendarEntries(shows, episodesByShow, range).values()].flat().map(entry => entry.label);
+}
+
+test("episodes are labelled by season and number", () => {
+  const show = { id: 82, name: "Show", contentType: "tv" };
+  const episodes = [
+    { id: 1, season: 2, number: 5, airstamp },
+    { id: 2, season: 2, number: null, airstamp }
+  ];
+
+  assert.deepEqual(labels([show], new Map([["82", episodes]])), ["S2E5", "Special"]);
+});
+
+test("episodes without a season fall back to their number", () => {
+  const show = { id: "jikan-5114", name: "Anime", contentType: "anime", nextEpisode: { id: 3, number: 5, airstamp } };
+
+  assert.deepEqual(labels([show], new Map()), ["Episode 5"]);
+});
@@ -0,0 +1,57 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { matchHistoryItems, parseHistoryFiles } from "../historyImport.js";
+import { getProvider } from "../providers.js";
+
+const imdbRatings = [
+  "Const,Your Rating,Date Rated,Title,URL,Title Type,IMDb Rating,Runtime (mins),Year,Genres,Num Votes,Release Date,Directors",
+  "tt0133093,9,2024-01-05,The Matrix,https://www.imdb.com/title/tt0133093/,movie,8.7,136,1999,\"Action, Sci-Fi\",2000000,1999-03-31,Lana Wachowski"
+].join("\n");
+
+const letterboxdWatched = [
+  "Date,Name,Year,Letterboxd URI",
+  "2024-02-10,The Matrix,1999,https://boxd.it/2a1m",
+  "2024-02-11,Heat,1995,https://boxd.it/2a6k"
+].join("\n");
+
+const films = {
+  matrix: { id: "wd-Q83495", name: "The Matrix", premiered: "1999-03-31", contentType: "movies", externalIds: { imdb: "tt0133093", wikidata: "Q83495" } },
+  heat: { id: "wd-Q496255", name: "Heat", premiered: "1995-12-15", contentType: "movies", externalIds: { imdb: "tt0113277", wikidata: "Q496255" } }
+};
+
+afterEach(() => mock.restoreAll());
+
+test("a film in both IMDb and Letterboxd exports is reviewed once", async () => {
+  const wikidata = getProvider("wikidata");
+  mock.method(wikidata, "lookupByExternalId", async (kind, value) =>
+    Object.values(films).find(film => film.externalIds[kind] === value) || null
+  );
+  mock.method(wikidata, "search", async query => Object.values(films).filter(film => film.name === query));
+
+  const { items } = parseHistoryFiles([
+    { name: "ratings.csv", text: imdbRatings },
+    { name: "watched.csv", text: letterboxdWatched }
+  ]);
+  // Different keys until matched: IMDb id vs title and year
+  assert.deepEqual(items.map(item => item.key), ["imdb:tt0133093", "movie:matrix:1999", "movie:heat:1995"]);
+
+  const results = await matchHistoryItems(items);
+
+  assert.deepEqual(results.map(result => result.match.id), ["wd-Q83495", "wd-Q496255"]);
+  const [matrix] = results;
+  assert.deepEqual(matrix.item.sources, ["imdb", "letterboxd"]);
+  assert.equal(matrix.item.watched, true);
+  assert.equal(matrix.item.watchedAt, "2024-02-10T00:00:00.000Z");
+  assert.deepEqual(matrix.item.ids, { imdb: "tt0133093" });
+});
+
+test("unmatched and ambiguous items are left separate", async () => {
+  const wikidata = getProvider("wikidata");
+  mock.method(wikidata, "lookupByExternalId", async () => null);
+  mock.method(wikidata, "search", async () => []);
+
+  const { items } = parseHistoryFiles([{ name: "watched.csv", text: letterboxdWatched }]);
+  const results = await matchHistoryItems(items);
+
+  assert.deepEqual(results.map(result => [result.item.title, result.status]), [["The Matrix", "unmatched"], ["Heat", "unmatched"]]);
+});
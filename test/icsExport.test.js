@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIcsCalendar, collectIcsEvents } from "../icsExport.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const options = { days: 30, contentTypes: ["tv", "anime", "movies"], priorityOnly: false };
+
+// Shows outside TVmaze are exported from their stored next episode, so no
+// episode cache is needed
+function animeShow(nextEpisode) {
+  return { id: "jikan-5114", provider: "jikan", name: "Frieren", contentType: "anime", nextEpisode };
+}
+
+test("episodes are coded SxxEyy", async () => {
+  const airstamp = new Date(Date.now() + DAY_MS).toISOString();
+  const [event] = await collectIcsEvents([animeShow({ id: 9, season: 2, number: 5, airstamp })], options);
+
+  assert.equal(event.summary, "Frieren S02E05");
+  assert.equal(event.uid, "jikan-episode-9@episode-countdown");
+  assert.equal(event.end - event.start, 24 * 60 * 1000);
+});
+
+test("episodes without a season are coded by number alone", async () => {
+  const airstamp = new Date(Date.now() + DAY_MS).toISOString();
+  const [event] = await collectIcsEvents([animeShow({ number: 5, airstamp })], options);
+
+  assert.equal(event.summary, "Frieren E05");
+  assert.equal(event.uid, "jikan-5114-E05@episode-countdown");
+  assert.doesNotMatch(buildIcsCalendar([event]), /undefined/);
+});
+
+test("filters by content type and priority", async () => {
+  const airstamp = new Date(Date.now() + DAY_MS).toISOString();
+  const shows = [animeShow({ id: 9, season: 1, number: 1, airstamp })];
+
+  assert.equal((await collectIcsEvents(shows, { ...options, contentTypes: ["tv"] })).length, 0);
+  assert.equal((await collectIcsEvents(shows, { ...options, priorityOnly: true })).length, 0);
+});
+
+test("writes an RFC 5545 calendar", () => {
+  const now = Date.parse("2026-10-19T08:00:00Z");
+  const ics = buildIcsCalendar([
+    {
+      uid: "tvmaze-episode-1@episode-countdown",
+      summary: "Show S01E01",
+      description: `Pilot; part 1, \\ "${"long ".repeat(20)}"\nNetwork: HBO`,
+      start: Date.parse("2026-10-20T01:00:00Z"),
+      end: Date.parse("2026-10-20T02:00:00Z"),
+      url: "https://example.com/watch"
+    },
+    { uid: "wd-Q1-theatrical@episode-countdown", summary: "Film (Theatrical)", date: "2026-10-31" }
+  ], now);
+
+  const lines = ics.split("\r\n");
+  assert.equal(ics.endsWith("\r\n"), true);
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+  assert.ok(lines.includes("DTSTAMP:20261019T080000Z"));
+  assert.ok(lines.includes("DTSTART:20261020T010000Z"));
+  assert.ok(lines.includes("DTEND:20261020T020000Z"));
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20261031"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20261101"));
+
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.ok(unfolded.includes(`\r\nDESCRIPTION:Pilot\\; part 1\\, \\\\ "${"long ".repeat(20)}"\\nNetwork: HBO\r\n`));
+});
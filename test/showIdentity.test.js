@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mergeRefreshedShow } from "../showIdentity.js";
+
+const original = {
+  id: 82,
+  name: "Game of Thrones",
+  status: "Running",
+  nextEpisode: { id: 1, airstamp: "2019-05-20T01:00:00+00:00" },
+  watchedEpisodes: { 4952: "2024-02-28T21:00:00.000Z" },
+  watchProgress: { watchedCount: 1 },
+  notes: null,
+  needsRefresh: true
+};
+
+const refreshed = {
+  ...original,
+  status: "Ended",
+  nextEpisode: null,
+  watchProgress: { watchedCount: 1, airedCount: 73 },
+  needsRefresh: false,
+  allEpisodesLastFetchedAt: "2024-03-01T20:00:00.000Z"
+};
+
+test("fetched fields are applied to an untouched show", () => {
+  assert.deepEqual(mergeRefreshedShow(original, refreshed, original), refreshed);
+});
+
+test("edits saved during the refresh are kept", () => {
+  const current = {
+    ...original,
+    notes: "Finish season 1",
+    watchedEpisodes: { ...original.watchedEpisodes, 4953: "2024-03-01T20:05:00.000Z" },
+    watchProgress: { watchedCount: 2 }
+  };
+
+  assert.deepEqual(mergeRefreshedShow(original, refreshed, current), {
+    ...refreshed,
+    notes: "Finish season 1",
+    watchedEpisodes: current.watchedEpisodes,
+    watchProgress: { watchedCount: 2 }
+  });
+});
+
+test("fields the refresh dropped are removed", () => {
+  const movie = { id: "wd-Q1", releaseDates: {}, nextRelease: null };
+  const upgraded = { id: 169, provider: "tvmaze" };
+
+  assert.deepEqual(mergeRefreshedShow(movie, upgraded, { ...movie, notes: "x" }), { id: 169, provider: "tvmaze", notes: "x" });
+});
+
+test("a refresh that changed nothing returns the stored show", () => {
+  const current = { ...original, notes: "x" };
+  assert.equal(mergeRefreshedShow(original, original, current), current);
+});
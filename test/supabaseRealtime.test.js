@@ -0,0 +1,201 @@
+import { test, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { subscribeToShowChanges } from "../supabaseRealtime.js";
+import { SUPABASE_SESSION_KEY } from "../supabaseAuth.js";
+import { MockPhoenixServer } from "./support/phoenixMock.js";
+
+const USER_ID = "user-1";
+const TOPIC = `realtime:user_shows:${USER_ID}`;
+const session = { access_token: "token-1", refresh_token: "refresh-1", expires_at: 4102444800 };
+
+let server;
+let storageListeners;
+let subscription;
+
+// Let pending socket events and awaited storage reads run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function subscribe() {
+  const changes = [];
+  const statuses = [];
+  const polls = { count: 0 };
+  subscription = subscribeToShowChanges({
+    userId: USER_ID,
+    onChange: change => changes.push(change),
+    onPoll: () => { polls.count += 1; },
+    onStatus: status => statuses.push(status)
+  });
+  return { changes, statuses, polls };
+}
+
+beforeEach(() => {
+  mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+  server = new MockPhoenixServer();
+  globalThis.WebSocket = server.WebSocket;
+  storageListeners = [];
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async key => (key === SUPABASE_SESSION_KEY ? { [key]: session } : {})
+      },
+      onChanged: {
+        addListener: listener => storageListeners.push(listener),
+        removeListener: listener => storageListeners.splice(storageListeners.indexOf(listener), 1)
+      }
+    }
+  };
+});
+
+afterEach(() => {
+  subscription?.stop();
+  subscription = null;
+  mock.timers.reset();
+  delete globalThis.WebSocket;
+  delete globalThis.chrome;
+});
+
+test("joins the user's user_shows channel with the session token", async () => {
+  const { statuses } = subscribe();
+  await flush();
+
+  assert.equal(server.joins.length, 1);
+  const [join] = server.joins;
+  assert.equal(join.topic, TOPIC);
+  assert.equal(join.join_ref, join.ref);
+  assert.equal(join.payload.access_token, session.access_token);
+  assert.deepEqual(join.payload.config.postgres_changes, [
+    { event: "*", schema: "public", table: "user_shows", filter: `user_id=eq.${USER_ID}` }
+  ]);
+  assert.deepEqual(statuses, ["connecting", "live"]);
+});
+
+test("delivers postgres_changes for its own topic only", async () => {
+  const { changes } = subscribe();
+  await flush();
+
+  server.pushChange(TOPIC, { type: "UPDATE", record: { show_id: "82", priority: true }, old_record: { show_id: "82" } });
+  server.pushChange(TOPIC, { type: "DELETE", old_record: { show_id: "169" } });
+  server.pushChange("realtime:user_shows:someone-else", { type: "INSERT", record: { show_id: "1" } });
+  await flush();
+
+  assert.deepEqual(changes, [
+    { type: "UPDATE", record: { show_id: "82", priority: true }, oldRecord: { show_id: "82" } },
+    { type: "DELETE", record: null, oldRecord: { show_id: "169" } }
+  ]);
+});
+
+test("sends a heartbeat every 25 seconds", async () => {
+  subscribe();
+  await flush();
+
+  mock.timers.tick(25 * 1000);
+  assert.equal(server.heartbeats.length, 1);
+  mock.timers.tick(25 * 1000);
+  assert.equal(server.heartbeats.length, 2);
+  assert.equal(server.heartbeats[0].topic, "phoenix");
+  assert.equal(server.heartbeats[0].join_ref, null);
+});
+
+test("forwards refreshed access tokens to the channel", async () => {
+  subscribe();
+  await flush();
+
+  for (const listener of storageListeners) {
+    listener({ [SUPABASE_SESSION_KEY]: { newValue: { ...session, access_token: "token-2" } } }, "local");
+  }
+
+  assert.deepEqual(server.accessTokens.map(message => [message.topic, message.payload.access_token]), [[TOPIC, "token-2"]]);
+});
+
+test("reconnects after a dropped connection and polls once to catch up", async () => {
+  const { changes, statuses, polls } = subscribe();
+  await flush();
+
+  server.dropConnections();
+  await flush();
+  assert.equal(server.openSockets.length, 0);
+
+  // First retry after 2 seconds
+  mock.timers.tick(2000);
+  await flush();
+
+  assert.equal(server.sockets.length, 2);
+  assert.equal(server.joins.length, 2);
+  assert.deepEqual(statuses, ["connecting", "live", "connecting", "live"]);
+  assert.equal(polls.count, 1);
+
+  server.pushChange(TOPIC, { type: "INSERT", record: { show_id: "82" } });
+  await flush();
+  assert.deepEqual(changes, [{ type: "INSERT", record: { show_id: "82" }, oldRecord: null }]);
+});
+
+test("a rejected join closes the socket and retries", async () => {
+  server.rejectJoins = true;
+  const { statuses } = subscribe();
+  await flush();
+
+  assert.equal(server.joins.length, 1);
+  assert.equal(server.openSockets.length, 0);
+  assert.deepEqual(statuses, ["connecting"]);
+
+  server.rejectJoins = false;
+  mock.timers.tick(2000);
+  await flush();
+  assert.deepEqual(statuses, ["connecting", "connecting", "live"]);
+});
+
+test("falls back to polling after three failed connects, until a join succeeds", async () => {
+  server.refuseConnections = true;
+  const { statuses, polls } = subscribe();
+  await flush();
+
+  // Retries back off 2s, then 4s; the third failure starts polling
+  mock.timers.tick(2000);
+  await flush();
+  mock.timers.tick(4000);
+  await flush();
+  assert.equal(server.sockets.length, 3);
+  assert.equal(statuses.at(-1), "polling");
+  assert.equal(polls.count, 0);
+
+  mock.timers.tick(60 * 1000);
+  await flush();
+  assert.equal(polls.count, 1);
+
+  server.refuseConnections = false;
+  // Backoff is capped at 30 seconds
+  mock.timers.tick(30 * 1000);
+  await flush();
+  assert.equal(statuses.at(-1), "live");
+
+  // Polling stopped with the live channel
+  const pollsWhenLive = polls.count;
+  mock.timers.tick(2 * 60 * 1000);
+  assert.equal(polls.count, pollsWhenLive);
+});
+
+test("polls when WebSocket is unavailable", async () => {
+  delete globalThis.WebSocket;
+  const { statuses, polls } = subscribe();
+  await flush();
+
+  assert.deepEqual(statuses, ["polling"]);
+  mock.timers.tick(60 * 1000);
+  assert.equal(polls.count, 1);
+});
+
+test("stop closes the socket and cancels reconnects", async () => {
+  const { statuses } = subscribe();
+  await flush();
+
+  subscription.stop();
+  subscription = null;
+  await flush();
+  mock.timers.tick(60 * 1000);
+  await flush();
+
+  assert.equal(server.sockets.length, 1);
+  assert.equal(server.openSockets.length, 0);
+  assert.equal(storageListeners.length, 0);
+  assert.equal(statuses.at(-1), "stopped");
+});
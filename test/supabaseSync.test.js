@@ -0,0 +1,143 @@
+import { test, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OUTBOX_KEY,
+  OUTBOX_RETRY_ALARM,
+  mapShowsToSupabaseRows,
+  mergeShowsWithRows,
+  syncShowsWithSupabase
+} from "../supabaseSync.js";
+import { SUPABASE_SESSION_KEY } from "../supabaseAuth.js";
+import { createChromeStub } from "./support/chromeStub.js";
+
+const show = {
+  id: 82,
+  name: "Game of Thrones",
+  contentType: "tv",
+  watched: true,
+  watchedAt: "2024-03-01T20:15:00.000Z",
+  priority: false,
+  watchedEpisodes: { 4952: "2024-02-28T21:00:00.000Z" },
+  lastWatchedAt: "2024-02-28T21:00:00.000Z",
+  addedAt: "2024-01-10T09:30:00.000Z",
+  fieldUpdatedAt: { watched: "2024-03-01T20:15:00.000Z" },
+  syncedAt: "2024-03-01T20:16:00.000Z"
+};
+
+// What PostgREST returns for the row the show was pushed as: timestamptz
+// columns are rendered with an offset instead of "Z"
+function rowAsStored(local) {
+  const [row] = mapShowsToSupabaseRows("user-1", [local]);
+  for (const column of ["watched_at", "last_watched_at", "added_at"]) {
+    if (row[column]) row[column] = row[column].replace(/\.000Z$/, "+00:00");
+  }
+  return row;
+}
+
+test("a show unchanged on both sides is neither pushed nor pulled", () => {
+  const { shows, toPush, changed, entries } = mergeShowsWithRows([show], [rowAsStored(show)]);
+
+  assert.equal(changed, false);
+  assert.deepEqual(toPush, []);
+  assert.deepEqual(entries, []);
+  assert.equal(shows[0].watchedAt, show.watchedAt);
+});
+
+test("a timestamp changed locally is still pushed", () => {
+  const row = rowAsStored(show);
+  const local = {
+    ...show,
+    lastWatchedAt: "2024-03-05T21:00:00.000Z",
+    fieldUpdatedAt: { ...show.fieldUpdatedAt, lastWatchedAt: "2024-03-05T21:00:00.000Z" }
+  };
+
+  const { toPush, entries } = mergeShowsWithRows([local], [row]);
+
+  assert.equal(toPush.length, 1);
+  assert.deepEqual(entries, [{ action: "pushed", showId: "82", name: show.name, fields: ["lastWatchedAt"] }]);
+});
+
+const USER_ID = "user-1";
+const LOCAL_KEY = "shows_user-1";
+const session = { access_token: "token-1", refresh_token: "refresh-1", expires_at: 4102444800 };
+
+function installChrome(shows) {
+  globalThis.chrome = createChromeStub({ [SUPABASE_SESSION_KEY]: session, [LOCAL_KEY]: shows });
+  return globalThis.chrome;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  delete globalThis.chrome;
+});
+
+test("an offline sync keeps the outbox and schedules a retry", async () => {
+  const removed = { id: 169, name: "Breaking Bad" };
+  const chrome = installChrome([show]);
+  mock.method(console, "error", () => {});
+  mock.method(globalThis, "fetch", async () => {
+    throw new TypeError("Failed to fetch");
+  });
+
+  const result = await syncShowsWithSupabase(USER_ID, LOCAL_KEY, [show], { removedShows: [removed], changedShows: [show] });
+
+  assert.equal(result.error, "Failed to fetch");
+  assert.deepEqual(result.shows, [show]);
+  const userOutbox = chrome.data[OUTBOX_KEY][USER_ID];
+  assert.equal(userOutbox.entries["169"].op, "delete");
+  assert.equal(userOutbox.entries["82"].op, "upsert");
+  assert.equal(userOutbox.attempts, 1);
+  assert.deepEqual(chrome.alarms.created.get(OUTBOX_RETRY_ALARM), { when: userOutbox.nextAttemptAt });
+});
+
+test("a push that fails offline is queued for retry", async () => {
+  const chrome = installChrome([show]);
+  mock.method(console, "error", () => {});
+  mock.method(globalThis, "fetch", async (url, options = {}) => {
+    if (options.method === "POST") throw new TypeError("Failed to fetch");
+    return new Response("[]", { status: 200, headers: { "Content-Type": "application/json" } });
+  });
+
+  const result = await syncShowsWithSupabase(USER_ID, LOCAL_KEY, [show]);
+
+  assert.equal(result.error, "Failed to fetch");
+  assert.deepEqual(Object.keys(chrome.data[OUTBOX_KEY][USER_ID].entries), ["82"]);
+  assert.ok(chrome.alarms.created.has(OUTBOX_RETRY_ALARM));
+});
+
+test("a sync that loses the race to a local save keeps its deletes and retries", async () => {
+  const removed = { id: 169, name: "Breaking Bad" };
+  const chrome = installChrome([show]);
+  const remoteRow = {
+    ...rowAsStored(show),
+    priority: true,
+    field_updated_at: { ...show.fieldUpdatedAt, priority: "2024-03-02T10:00:00.000Z" }
+  };
+  let gets = 0;
+  mock.method(globalThis, "fetch", async (url, options = {}) => {
+    if (options.method === "PATCH") return new Response(null, { status: 204 });
+    if (options.method === "POST") return new Response(null, { status: 201 });
+    gets += 1;
+    // The popup saves an edit while the first sync is in flight
+    if (gets === 1) chrome.data[LOCAL_KEY] = [{ ...show, notes: "Edited meanwhile" }];
+    return new Response(JSON.stringify([remoteRow]), { status: 200, headers: { "Content-Type": "application/json" } });
+  });
+
+  const first = await syncShowsWithSupabase(USER_ID, LOCAL_KEY, [show], { removedShows: [removed] });
+
+  assert.equal(first.error, null);
+  assert.equal(first.shows[0].notes, "Edited meanwhile");
+  assert.equal(chrome.data[OUTBOX_KEY][USER_ID].entries["169"].op, "delete");
+  assert.ok(chrome.alarms.created.get(OUTBOX_RETRY_ALARM).when > Date.now());
+
+  const second = await syncShowsWithSupabase(USER_ID, LOCAL_KEY, chrome.data[LOCAL_KEY]);
+
+  assert.equal(second.error, null);
+  assert.equal(chrome.data[LOCAL_KEY][0].priority, true);
+  assert.equal(chrome.data[LOCAL_KEY][0].notes, "Edited meanwhile");
+  assert.equal(chrome.data[OUTBOX_KEY][USER_ID], undefined);
+  assert.deepEqual(
+    chrome.data.syncLog.slice(0, 1).map(entry => [entry.action, entry.showId, entry.fields]),
+    [["pushed", "169", ["removed"]]]
+  );
+});
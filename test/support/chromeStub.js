@@ -0,0 +1,59 @@
+// Minimal chrome.* for modules that read and write chrome.storage.local or
+// set alarms. Storage is a plain object; values are copied in and out like
+// the real structured-clone storage.
+
+const copy = value => (value === undefined ? undefined : structuredClone(value));
+
+/**
+ * @param {Object} [initial] - Initial chrome.storage.local contents
+ * @returns {Object} - chrome stub; .data is the storage, .alarms.created the
+ *   alarms set so far
+ */
+export function createChromeStub(initial = {}) {
+  const data = copy(initial);
+  const listeners = [];
+  const alarms = new Map();
+
+  const pick = (keys) => {
+    if (keys == null) return copy(data);
+    const list = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+    const result = {};
+    for (const key of list) {
+      if (key in data) result[key] = copy(data[key]);
+    }
+    return result;
+  };
+
+  const notify = (changes) => {
+    for (const listener of listeners) listener(changes, "local");
+  };
+
+  return {
+    data,
+    storage: {
+      local: {
+        get: async keys => pick(keys),
+        set: async items => {
+          const changes = {};
+          for (const [key, value] of Object.entries(items)) {
+            changes[key] = { oldValue: data[key], newValue: copy(value) };
+            data[key] = copy(value);
+          }
+          notify(changes);
+        },
+        remove: async keys => {
+          for (const key of typeof keys === "string" ? [keys] : keys) delete data[key];
+        }
+      },
+      onChanged: {
+        addListener: listener => listeners.push(listener),
+        removeListener: listener => listeners.splice(listeners.indexOf(listener), 1)
+      }
+    },
+    alarms: {
+      created: alarms,
+      create: (name, info) => alarms.set(name, info),
+      clear: async name => alarms.delete(name)
+    }
+  };
+}
@@ -0,0 +1,134 @@
+// In-memory stand-in for the Supabase Realtime socket. server.WebSocket is
+// installed as globalThis.WebSocket; every socket it opens talks to the same
+// server, which speaks enough of the Phoenix channel protocol (vsn 1.0.0) for
+// supabaseRealtime.js: phx_join replies, heartbeats, access_token updates and
+// postgres_changes pushes. Everything is delivered on the microtask queue,
+// so tests can mock timers without stalling the socket.
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+export class MockPhoenixServer {
+  constructor() {
+    // Every socket opened, including refused ones
+    this.sockets = [];
+    // Client messages by event, in arrival order
+    this.joins = [];
+    this.heartbeats = [];
+    this.accessTokens = [];
+    // Refused sockets close without opening, like an unreachable host
+    this.refuseConnections = false;
+    // Rejected joins get an error reply, like an expired JWT
+    this.rejectJoins = false;
+
+    const server = this;
+    this.WebSocket = class MockWebSocket {
+      static CONNECTING = CONNECTING;
+      static OPEN = OPEN;
+      static CLOSED = CLOSED;
+
+      constructor(url) {
+        this.url = url;
+        this.readyState = CONNECTING;
+        this.listeners = {};
+        this.joinedTopics = new Set();
+        server.sockets.push(this);
+        queueMicrotask(() => {
+          if (this.readyState !== CONNECTING) return;
+          if (server.refuseConnections) {
+            this.emit("error", {});
+            this.close();
+            return;
+          }
+          this.readyState = OPEN;
+          this.emit("open", {});
+        });
+      }
+
+      addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+      }
+
+      emit(type, event) {
+        for (const listener of this.listeners[type] || []) listener(event);
+      }
+
+      send(data) {
+        if (this.readyState !== OPEN) throw new Error("Socket is not open");
+        server.receive(this, JSON.parse(data));
+      }
+
+      close() {
+        if (this.readyState === CLOSED) return;
+        this.readyState = CLOSED;
+        queueMicrotask(() => this.emit("close", {}));
+      }
+    };
+  }
+
+  get openSockets() {
+    return this.sockets.filter(socket => socket.readyState === OPEN);
+  }
+
+  push(socket, message) {
+    queueMicrotask(() => {
+      if (socket.readyState === OPEN) socket.emit("message", { data: JSON.stringify(message) });
+    });
+  }
+
+  reply(socket, message, status, response = {}) {
+    this.push(socket, {
+      topic: message.topic,
+      event: "phx_reply",
+      payload: { status, response },
+      ref: message.ref,
+      join_ref: message.join_ref
+    });
+  }
+
+  receive(socket, message) {
+    if (message.topic === "phoenix" && message.event === "heartbeat") {
+      this.heartbeats.push(message);
+      this.reply(socket, message, "ok");
+      return;
+    }
+    if (message.event === "phx_join") {
+      this.joins.push(message);
+      if (this.rejectJoins) {
+        this.reply(socket, message, "error", { reason: "Invalid JWT" });
+        return;
+      }
+      socket.joinedTopics.add(message.topic);
+      socket.joinRef = message.join_ref;
+      this.reply(socket, message, "ok", { postgres_changes: [{ id: 1 }] });
+      return;
+    }
+    if (message.event === "access_token") {
+      this.accessTokens.push(message);
+    }
+  }
+
+  /**
+   * Deliver a row change to every socket joined to the topic
+   * @param {string} topic - e.g. "realtime:user_shows:<user id>"
+   * @param {Object} data - { type, record, old_record }
+   */
+  pushChange(topic, data) {
+    for (const socket of this.openSockets) {
+      if (!socket.joinedTopics.has(topic)) continue;
+      this.push(socket, {
+        topic,
+        event: "postgres_changes",
+        payload: { ids: [1], data: { schema: "public", table: "user_shows", commit_timestamp: new Date().toISOString(), ...data } },
+        ref: null,
+        join_ref: socket.joinRef
+      });
+    }
+  }
+
+  // Server-side disconnect, e.g. a deploy or a network drop
+  dropConnections() {
+    for (const socket of this.openSockets) socket.close();
+  }
+}
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deriveWatchState, migrateWatchedEpisodeCount, setEpisodesWatched } from "../watchProgress.js";
+
+const episodes = [1, 2, 3, 4].map(number => ({
+  id: 100 + number,
+  season: 1,
+  number,
+  type: "regular",
+  airstamp: `2020-01-0${number}T20:00:00+00:00`
+}));
+
+test("the legacy counter is migrated once and then cleared", () => {
+  const state = deriveWatchState({ id: 1, watchedEpisode: 2 }, episodes);
+
+  assert.deepEqual(Object.keys(state.watchedEpisodes), ["101", "102"]);
+  assert.equal(state.watchedEpisode, 0);
+  assert.equal(state.watchProgress.watchedCount, 2);
+  assert.equal(state.watchProgress.nextToWatch.id, 103);
+});
+
+test("unmarking every episode does not bring the counter's episodes back", () => {
+  // Migrated on an older version, which left the counter in place
+  const show = { id: 1, watchedEpisode: 2, watchedEpisodes: migrateWatchedEpisodeCount({ watchedEpisode: 2 }, episodes) };
+  const unmarked = { ...show, watchedEpisodes: setEpisodesWatched(show.watchedEpisodes, [101, 102], false) };
+  assert.deepEqual(unmarked.watchedEpisodes, {});
+
+  assert.equal(migrateWatchedEpisodeCount(unmarked, episodes), null);
+  const state = deriveWatchState(unmarked, episodes);
+  assert.deepEqual(state.watchedEpisodes, {});
+  assert.equal("watchedEpisode" in state, false);
+  assert.equal(state.watchProgress.watchedCount, 0);
+});
+
+test("a show without a map or counter gets no map", () => {
+  const state = deriveWatchState({ id: 1, watchedEpisodes: null, watchedEpisode: 0 }, episodes);
+
+  assert.equal("watchedEpisodes" in state, false);
+  assert.equal(state.watchProgress.unwatchedAired, 4);
+});
@@ -1,7 +1,15 @@
+import { httpFetch } from "./httpClient.js";
+
 const TVMAZE_BASE_URL = "https://api.tvmaze.com";
 const ONE_DAY_MS = 24 * 60 * 60 * 1000;
 const TWO_HOURS_MS = 2 * 60 * 60 * 1000; // 2 hours for fresher data
 
+// How long responses are served from the HTTP cache before revalidating
+const SEARCH_TTL_MS = 60 * 60 * 1000;
+const SHOW_TTL_MS = 15 * 60 * 1000;
+const SCHEDULE_TTL_MS = 30 * 60 * 1000;
+const SHOW_INDEX_TTL_MS = 12 * 60 * 60 * 1000;
+
 // Fuzzy search helper - calculates similarity between strings
 function calculateSimilarity(str1, str2) {
   const s1 = str1.toLowerCase();
@@ -21,8 +29,9 @@ function calculateSimilarity(str1, str2) {
 
 // Search by genre
 export async function searchShowsByGenre(genre) {
-  const res = await fetch(
-    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`
+  const res = await httpFetch(
+    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`,
+    { ttlMs: SEARCH_TTL_MS }
   );
 
   if (!res.ok) {
@@ -54,8 +63,9 @@ export async function searchShowsByGenre(genre) {
 
 // Enhanced genre search with popularity scoring
 export async function searchShowsByGenreWithPopularity(genre) {
-  const res = await fetch(
-    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`
+  const res = await httpFetch(
+    `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(genre)}`,
+    { ttlMs: SEARCH_TTL_MS }
   );
 
   if (!res.ok) {
@@ -84,7 +94,7 @@ export async function searchShowsByGenreWithPopularity(genre) {
         let nextEpisodeSoon = false;
 
         try {
-          const episodesRes = await fetch(`${TVMAZE_BASE_URL}/shows/${show.id}/episodes`);
+          const episodesRes = await httpFetch(`${TVMAZE_BASE_URL}/shows/${show.id}/episodes`, { ttlMs: SHOW_TTL_MS });
           if (episodesRes.ok) {
             const episodes = await episodesRes.json();
             const nextEp = computeNextEpisode(episodes);
@@ -124,48 +134,15 @@ export async function searchShowsByGenreWithPopularity(genre) {
     .map(({ popularityScore, ...rest }) => rest);
 }
 
-async function fetchWithRetry(url, retries = 2) {
-  for (let i = 0; i <= retries; i++) {
-    try {
-      const res = await fetch(url);
-      
-      // Rate limiting - wait and retry
-      if (res.status === 429) {
-        const retryAfter = res.headers.get('Retry-After') || 2;
-        if (i < retries) {
-          console.log(`[TVmaze] Rate limited, retrying after ${retryAfter}s...`);
-          await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-          continue;
-        }
-      }
-      
-      // Server errors - retry
-      if (res.status >= 500 && i < retries) {
-        console.log(`[TVmaze] Server error ${res.status}, retrying...`);
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-        continue;
-      }
-      
-      return res;
-    } catch (err) {
-      if (i < retries) {
-        console.log(`[TVmaze] Network error, retrying...`, err);
-        await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-        continue;
-      }
-      throw err;
-    }
-  }
-}
-
 export async function searchShows(query) {
   const trimmed = query.trim();
   if (!trimmed) return [];
 
   try {
     // Try exact search first
-    let res = await fetchWithRetry(
-      `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(trimmed)}`
+    let res = await httpFetch(
+      `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(trimmed)}`,
+      { ttlMs: SEARCH_TTL_MS }
     );
 
     if (!res.ok) {
@@ -247,8 +224,9 @@ export async function searchShows(query) {
       const words = trimmed.split(/\s+/).filter(w => w.length > 2);
       if (words.length > 0) {
         const partialQuery = words.map(w => w.slice(0, Math.max(3, Math.floor(w.length * 0.6)))).join(" ");
-        res = await fetchWithRetry(
-          `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(partialQuery)}`
+        res = await httpFetch(
+          `${TVMAZE_BASE_URL}/search/shows?q=${encodeURIComponent(partialQuery)}`,
+          { ttlMs: SEARCH_TTL_MS }
         );
 
         if (res && res.ok) {
@@ -287,7 +265,7 @@ export async function searchShows(query) {
 
 export async function fetchShow(showId) {
   try {
-    const res = await fetchWithRetry(`${TVMAZE_BASE_URL}/shows/${showId}`);
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/shows/${showId}`, { ttlMs: SHOW_TTL_MS });
     if (!res.ok) {
       if (res.status === 404) {
         console.warn(`[TVmaze] Show ${showId} not found`);
@@ -305,7 +283,7 @@ export async function fetchShow(showId) {
 
 export async function fetchEpisodes(showId) {
   try {
-    const res = await fetchWithRetry(`${TVMAZE_BASE_URL}/shows/${showId}/episodes`);
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/shows/${showId}/episodes`, { ttlMs: SHOW_TTL_MS });
     if (!res.ok) {
       if (res.status === 404) {
         console.warn(`[TVmaze] Episodes for show ${showId} not found`);
@@ -321,6 +299,49 @@ export async function fetchEpisodes(showId) {
   }
 }
 
+/**
+ * Show details with its full episode list embedded, in one request. Not
+ * HTTP-cached: episodeCache.js keeps the result.
+ * @param {number} showId - TVmaze show ID
+ * @returns {Promise<Object|null>} - Show with _embedded.episodes
+ */
+export async function fetchShowWithEpisodes(showId) {
+  try {
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/shows/${showId}?embed=episodes`);
+    if (!res.ok) {
+      if (res.status === 404) {
+        console.warn(`[TVmaze] Show ${showId} not found`);
+      } else {
+        console.error(`[TVmaze] Show with episodes failed:`, res.status);
+      }
+      return null;
+    }
+    return res.json();
+  } catch (err) {
+    console.error(`[TVmaze] Error fetching show ${showId} with episodes:`, err);
+    return null;
+  }
+}
+
+/**
+ * When each show last changed (including its episodes)
+ * @param {string} since - "day", "week" or "month"
+ * @returns {Promise<Object|null>} - Map of show ID -> Unix time of last update
+ */
+export async function fetchShowUpdates(since = "day") {
+  try {
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/updates/shows?since=${since}`);
+    if (!res.ok) {
+      console.error("[TVmaze] Show updates failed:", res.status);
+      return null;
+    }
+    return res.json();
+  } catch (err) {
+    console.error("[TVmaze] Error fetching show updates:", err);
+    return null;
+  }
+}
+
 export function computeNextEpisode(episodes) {
   const now = Date.now();
   let next = null;
@@ -341,6 +362,27 @@ export function computeNextEpisode(episodes) {
   return next;
 }
 
+// Most recent episode that has already aired
+export function computeLastAiredEpisode(episodes) {
+  const now = Date.now();
+  let last = null;
+
+  for (const ep of episodes) {
+    if (!ep.airstamp) continue;
+    const airTime = Date.parse(ep.airstamp);
+    if (Number.isNaN(airTime)) continue;
+    if (airTime <= now && (!last || airTime > Date.parse(last.airstamp))) {
+      last = {
+        season: ep.season,
+        number: ep.number,
+        airstamp: ep.airstamp
+      };
+    }
+  }
+
+  return last;
+}
+
 export function isFetchStale(lastFetchedAtIso) {
   if (!lastFetchedAtIso) return true;
   const last = Date.parse(lastFetchedAtIso);
@@ -354,10 +396,20 @@ export function isFetchStale(lastFetchedAtIso) {
  * @returns {Promise<Object|null>} - Show data or null
  */
 export async function lookupByImdb(imdbId) {
+  // Remove 'tt' prefix if present
+  const cleanImdb = String(imdbId).replace(/^tt/, "");
+  return lookupByExternalId("imdb", `tt${cleanImdb}`);
+}
+
+/**
+ * Lookup show in TVmaze by another site's ID
+ * @param {string} source - "imdb", "thetvdb" or "tvrage"
+ * @param {string|number} externalId - ID on that site
+ * @returns {Promise<Object|null>} - Show data or null
+ */
+export async function lookupByExternalId(source, externalId) {
   try {
-    // Remove 'tt' prefix if present
-    const cleanImdb = imdbId.replace(/^tt/, "");
-    const res = await fetch(`${TVMAZE_BASE_URL}/lookup/shows?imdb=tt${cleanImdb}`);
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/lookup/shows?${source}=${encodeURIComponent(externalId)}`, { ttlMs: ONE_DAY_MS });
 
     if (!res.ok) {
       return null;
@@ -375,7 +427,7 @@ export async function lookupByImdb(imdbId) {
       rating: show.rating?.average || null
     };
   } catch (err) {
-    console.error("TVmaze IMDb lookup failed:", err);
+    console.error(`TVmaze ${source} lookup failed:`, err);
     return null;
   }
 }
@@ -404,7 +456,7 @@ export async function fetchScheduleToday(genreFilter = null) {
   try {
     const today = new Date();
     const dateStr = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
-    const res = await fetch(`${TVMAZE_BASE_URL}/schedule?date=${dateStr}`);
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/schedule?date=${dateStr}`, { ttlMs: SCHEDULE_TTL_MS });
 
     if (!res.ok) {
       console.error("TVmaze schedule failed", res.status);
@@ -457,7 +509,7 @@ export async function fetchPopularShows() {
     const pagesToFetch = 5; // Fetch first 5 pages (250 shows)
 
     for (let page = 0; page < pagesToFetch; page++) {
-      const res = await fetch(`${TVMAZE_BASE_URL}/shows?page=${page}`);
+      const res = await httpFetch(`${TVMAZE_BASE_URL}/shows?page=${page}`, { ttlMs: SHOW_INDEX_TTL_MS });
 
       if (!res.ok) {
         if (res.status === 404) break; // No more pages
@@ -509,7 +561,7 @@ export async function fetchPopularShows() {
 // Returns { shows: [], hasMore: boolean }
 export async function fetchShowsPage(page = 0, genreFilter = null) {
   try {
-    const res = await fetch(`${TVMAZE_BASE_URL}/shows?page=${page}`);
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/shows?page=${page}`, { ttlMs: SHOW_INDEX_TTL_MS });
 
     if (!res.ok) {
       if (res.status === 404) return { shows: [], hasMore: false };
@@ -568,7 +620,7 @@ export async function fetchScheduleByDate(date = null, country = "US") {
       return `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
     })();
 
-    const res = await fetch(`${TVMAZE_BASE_URL}/schedule?country=${country}&date=${dateStr}`);
+    const res = await httpFetch(`${TVMAZE_BASE_URL}/schedule?country=${country}&date=${dateStr}`, { ttlMs: SCHEDULE_TTL_MS });
 
     if (!res.ok) {
       console.error("TVmaze schedule failed", res.status);
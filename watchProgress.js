@@ -0,0 +1,174 @@
+// Episode-level watch tracking.
+// A show's watched state is a map of TVmaze episode id -> ISO timestamp of
+// when it was marked watched (show.watchedEpisodes). Everything shown on the
+// card ("S2E4 next to watch, 3 unwatched aired") is derived from that map and
+// the episode list returned by fetchEpisodes.
+
+/**
+ * Check if an episode is part of the regular numbered run (not a special)
+ * @param {Object} ep - TVmaze episode
+ * @returns {boolean}
+ */
+export function isRegularEpisode(ep) {
+  if (!ep || typeof ep.number !== "number") return false;
+  return !ep.type || ep.type === "regular";
+}
+
+function getAirTime(ep) {
+  const time = Date.parse(ep.airstamp || ep.airdate || "");
+  return Number.isNaN(time) ? null : time;
+}
+
+export function hasAired(ep, now = Date.now()) {
+  const time = getAirTime(ep);
+  return time != null && time <= now;
+}
+
+/**
+ * Sort episodes in watch order: season, then episode number. Specials have no
+ * number, so they slot in by air date within their season.
+ * @param {Object[]} episodes - TVmaze episodes
+ * @returns {Object[]} - New sorted array
+ */
+export function sortEpisodesInWatchOrder(episodes) {
+  return [...episodes].sort((a, b) => {
+    const seasonDiff = (a.season ?? 0) - (b.season ?? 0);
+    if (seasonDiff !== 0) return seasonDiff;
+
+    if (typeof a.number === "number" && typeof b.number === "number") {
+      return a.number - b.number;
+    }
+
+    const ta = getAirTime(a) ?? Infinity;
+    const tb = getAirTime(b) ?? Infinity;
+    return ta - tb;
+  });
+}
+
+export function isEpisodeWatched(show, episodeId) {
+  return Boolean(show?.watchedEpisodes && show.watchedEpisodes[String(episodeId)]);
+}
+
+/**
+ * Return a new watched map with the given episodes marked (or unmarked)
+ * @param {Object} watchedMap - Existing map of episode id -> ISO timestamp
+ * @param {Array<number|string>} episodeIds - Episodes to update
+ * @param {boolean} watched - Mark watched (true) or unwatched (false)
+ * @returns {Object}
+ */
+export function setEpisodesWatched(watchedMap, episodeIds, watched = true) {
+  const updated = { ...(watchedMap || {}) };
+  const now = new Date().toISOString();
+  for (const id of episodeIds) {
+    const key = String(id);
+    if (watched) {
+      updated[key] = updated[key] || now;
+    } else {
+      delete updated[key];
+    }
+  }
+  return updated;
+}
+
+/**
+ * Ids of every regular episode up to and including the given one
+ * @param {Object[]} episodes - TVmaze episodes
+ * @param {number|string} episodeId - Episode to stop at
+ * @returns {number[]}
+ */
+export function getEpisodeIdsThrough(episodes, episodeId) {
+  const ordered = sortEpisodesInWatchOrder(episodes);
+  const index = ordered.findIndex(ep => String(ep.id) === String(episodeId));
+  if (index === -1) return [];
+  return ordered
+    .slice(0, index + 1)
+    .filter(ep => isRegularEpisode(ep) || String(ep.id) === String(episodeId))
+    .map(ep => ep.id);
+}
+
+export function getSeasonEpisodeIds(episodes, season) {
+  return episodes.filter(ep => ep.season === season).map(ep => ep.id);
+}
+
+/**
+ * Convert the legacy watchedEpisode counter ("Ep N") into a watched map by
+ * marking the first N regular episodes in watch order. Any map, even an
+ * empty one (every episode unmarked), means the show is already migrated;
+ * callers zero the counter when they store the result.
+ * @param {Object} show - Tracked show
+ * @param {Object[]} episodes - TVmaze episodes
+ * @returns {Object|null} - Watched map, or null if there is nothing to migrate
+ */
+export function migrateWatchedEpisodeCount(show, episodes) {
+  if (show.watchedEpisodes || !show.watchedEpisode || !episodes?.length) return null;
+  const ids = sortEpisodesInWatchOrder(episodes)
+    .filter(isRegularEpisode)
+    .slice(0, show.watchedEpisode)
+    .map(ep => ep.id);
+  return setEpisodesWatched({}, ids, true);
+}
+
+/**
+ * Summarise watch progress for the card
+ * @param {Object[]} episodes - TVmaze episodes
+ * @param {Object} watchedMap - Map of episode id -> ISO timestamp
+ * @returns {{nextToWatch: Object|null, unwatchedAired: number, watchedCount: number, airedCount: number}}
+ */
+export function computeWatchProgress(episodes, watchedMap) {
+  const now = Date.now();
+  const watched = watchedMap || {};
+  const regular = sortEpisodesInWatchOrder(episodes || []).filter(isRegularEpisode);
+
+  let nextToWatch = null;
+  let unwatchedAired = 0;
+  let watchedCount = 0;
+  let airedCount = 0;
+
+  for (const ep of regular) {
+    const isWatched = Boolean(watched[String(ep.id)]);
+    if (isWatched) watchedCount++;
+    if (!hasAired(ep, now)) continue;
+    airedCount++;
+    if (!isWatched) {
+      unwatchedAired++;
+      if (!nextToWatch) {
+        nextToWatch = { id: ep.id, season: ep.season, number: ep.number, name: ep.name || "" };
+      }
+    }
+  }
+
+  return { nextToWatch, unwatchedAired, watchedCount, airedCount };
+}
+
+/**
+ * Card label for a stored progress summary
+ * @param {Object} progress - Result of computeWatchProgress
+ * @returns {string}
+ */
+export function formatWatchProgress(progress) {
+  if (!progress || !progress.airedCount) return "";
+  if (!progress.watchedCount) return `${progress.unwatchedAired} aired, none watched`;
+  if (!progress.nextToWatch) return "All caught up";
+
+  const { season, number } = progress.nextToWatch;
+  const code = typeof season === "number" ? `S${season}E${number}` : `Episode ${number}`;
+  return `${code} next to watch, ${progress.unwatchedAired} unwatched aired`;
+}
+
+/**
+ * Watch fields to store on a show after fetching its episodes. Migrates the
+ * legacy counter the first time episodes are available.
+ * @param {Object} show - Tracked show
+ * @param {Object[]} episodes - TVmaze episodes
+ * @returns {{watchedEpisodes?: Object, watchedEpisode?: number, watchProgress: Object}}
+ */
+export function deriveWatchState(show, episodes) {
+  const migrated = migrateWatchedEpisodeCount(show, episodes);
+  const watchedEpisodes = migrated || show.watchedEpisodes;
+  return {
+    ...(watchedEpisodes ? { watchedEpisodes } : {}),
+    // Cleared so the counter, which still syncs, can't be migrated again
+    ...(migrated ? { watchedEpisode: 0 } : {}),
+    watchProgress: computeWatchProgress(episodes, watchedEpisodes)
+  };
+}
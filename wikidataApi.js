@@ -1,4 +1,15 @@
+import { httpFetch } from "./httpClient.js";
+import { normalizeGenre, getApiGenreVariants } from "./genreMapping.js";
+
 const WIKIDATA_SPARQL_ENDPOINT = "https://query.wikidata.org/sparql";
+const WIKIDATA_API_ENDPOINT = "https://www.wikidata.org/w/api.php";
+
+// Query results are served from the HTTP cache this long; release dates are
+// refetched daily (MOVIE_RELEASE_TTL_MS), so this stays well below that
+const QUERY_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Width of poster thumbnails requested from Wikimedia Commons
+const POSTER_WIDTH = 300;
 
 // Wikidata entity IDs for content types
 const CONTENT_TYPES = {
@@ -7,16 +18,78 @@ const CONTENT_TYPES = {
   movies: "Q11424"     // film
 };
 
+// Classes a genre item must belong to (directly or through subclasses).
+// Plain "genre" (Q483394) is left out: music and literary genres share
+// labels like "Drama" and "Comedy" and would filter on the wrong items.
+const GENRE_CLASSES = [
+  "Q201658",   // film genre
+  "Q15961987"  // television genre
+];
+
+// Genre items are usually labelled "<genre> film" or "<genre> television series"
+const GENRE_LABEL_SUFFIXES = ["", " film", " films", " television series", " television program"];
+
+// Versioned so lookups made with a different GENRE_CLASSES are not reused
+const GENRE_CACHE_KEY = "wikidata_genre_qids_v2";
+// Genre items rarely change; a genre with no match is retried sooner
+const GENRE_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const GENRE_MISS_TTL_MS = 24 * 60 * 60 * 1000;
+
 // Wikidata property IDs
 const PROPERTIES = {
   genre: "P136",           // genre
   instanceOf: "P31",       // instance of
-  tvmazeId: "P4985",       // TVmaze show ID
-  malId: "P4086",          // MyAnimeList ID
+  tvmazeId: "P8600",       // TVmaze series ID (P4985 is TMDb person ID)
+  malId: "P4086",          // MyAnimeList anime ID
   imdbId: "P345",          // IMDb ID
-  title: "P1476"           // title
+  title: "P1476",          // title
+  image: "P18",            // image (poster or still on Commons)
+  publicationDate: "P577", // publication date (release date for films)
+  placeOfPublication: "P291", // qualifier: country of a release
+  distributionFormat: "P437", // qualifier: theatrical, DVD, video on demand...
+  countryCode: "P297",     // ISO 3166-1 alpha-2 code
+  thetvdbId: "P4835",      // TheTVDB series ID
+  tmdbMovieId: "P4947",    // TMDb movie ID
+  tmdbTvId: "P4983"        // TMDb TV series ID
+};
+
+// Wikidata time precision values
+const TIME_PRECISION = {
+  9: "year",
+  10: "month",
+  11: "day"
 };
 
+// Release dates older than this are refetched, so shifted dates are picked up
+export const MOVIE_RELEASE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export const RELEASE_TYPES = ["theatrical", "digital", "physical"];
+
+export const RELEASE_TYPE_LABELS = {
+  theatrical: "In theaters",
+  digital: "Digital",
+  physical: "DVD / Blu-ray"
+};
+
+async function runSparqlQuery(query) {
+  const response = await httpFetch(WIKIDATA_SPARQL_ENDPOINT, {
+    ttlMs: QUERY_CACHE_TTL_MS,
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Accept": "application/sparql-results+json"
+    },
+    body: `query=${encodeURIComponent(query)}`
+  });
+
+  if (!response.ok) {
+    console.error("Wikidata SPARQL query failed", response.status);
+    return null;
+  }
+
+  return response.json();
+}
+
 /**
  * Query Wikidata for content by genre
  * @param {string} genre - Genre name (will be normalized)
@@ -26,10 +99,8 @@ const PROPERTIES = {
  */
 export async function queryByGenre(genre, contentTypes = ["tv", "anime", "movies"], limit = 100) {
   try {
-    // First, we need to find the genre QID in Wikidata
-    // For now, we'll use a simplified approach with common genres
-    const genreQid = getGenreQid(genre);
-    if (!genreQid) {
+    const genreQids = await resolveGenreQids(genre);
+    if (!genreQids.length) {
       console.warn(`Genre QID not found for: ${genre}`);
       return [];
     }
@@ -47,33 +118,26 @@ export async function queryByGenre(genre, contentTypes = ["tv", "anime", "movies
 
     // Build SPARQL query
     const query = `
-      SELECT ?item ?itemLabel ?type ?tvmazeId ?malId ?imdbId WHERE {
-        ?item wdt:${PROPERTIES.genre} wd:${genreQid} .
+      SELECT ?item ?itemLabel ?type (SAMPLE(?tvmaze) AS ?tvmazeId) (SAMPLE(?mal) AS ?malId)
+             (SAMPLE(?imdb) AS ?imdbId) WHERE {
+        VALUES ?genre { ${genreQids.map(qid => `wd:${qid}`).join(" ")} }
+        ?item wdt:${PROPERTIES.genre} ?genre .
         ?item wdt:${PROPERTIES.instanceOf} ?type .
         FILTER(?type IN (${typeFilters})) .
-        OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmazeId } .
-        OPTIONAL { ?item wdt:${PROPERTIES.malId} ?malId } .
-        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
+        OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmaze } .
+        OPTIONAL { ?item wdt:${PROPERTIES.malId} ?mal } .
+        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdb } .
         SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
       }
+      GROUP BY ?item ?itemLabel ?type
       LIMIT ${limit}
     `;
 
-    const response = await fetch(WIKIDATA_SPARQL_ENDPOINT, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-        "Accept": "application/sparql-results+json"
-      },
-      body: `query=${encodeURIComponent(query)}`
-    });
-
-    if (!response.ok) {
-      console.error("Wikidata SPARQL query failed", response.status);
+    const data = await runSparqlQuery(query);
+    if (!data) {
       return [];
     }
 
-    const data = await response.json();
     return parseWikidataResults(data, contentTypes);
   } catch (err) {
     console.error("Error querying Wikidata:", err);
@@ -81,34 +145,74 @@ export async function queryByGenre(genre, contentTypes = ["tv", "anime", "movies
   }
 }
 
+// Labels a genre's Wikidata items may carry, from its canonical name and the
+// wikidata variants in genreMapping.js
+function getGenreLabelCandidates(genre) {
+  const canonical = normalizeGenre(genre);
+  const terms = new Set(
+    [genre, canonical, ...getApiGenreVariants(canonical, "wikidata")]
+      .filter(Boolean)
+      .map(term => term.toLowerCase().trim())
+  );
+
+  const labels = new Set();
+  for (const term of terms) {
+    for (const suffix of GENRE_LABEL_SUFFIXES) {
+      labels.add(`${term}${suffix}`);
+    }
+  }
+  return [...labels];
+}
+
+async function getCachedGenreQids(key) {
+  const data = await chrome.storage.local.get(GENRE_CACHE_KEY);
+  const entry = data[GENRE_CACHE_KEY]?.[key];
+  if (!entry) return null;
+  const ttl = entry.qids.length ? GENRE_CACHE_TTL_MS : GENRE_MISS_TTL_MS;
+  return Date.now() - entry.fetchedAt < ttl ? entry.qids : null;
+}
+
+async function setCachedGenreQids(key, qids) {
+  const data = await chrome.storage.local.get(GENRE_CACHE_KEY);
+  const cache = data[GENRE_CACHE_KEY] || {};
+  cache[key] = { qids, fetchedAt: Date.now() };
+  await chrome.storage.local.set({ [GENRE_CACHE_KEY]: cache });
+}
+
 /**
- * Get Wikidata QID for a genre
- * Common genre mappings to Wikidata QIDs
+ * Wikidata genre items for a genre name, found by English label or alias
+ * among film and television genres. Results are cached in
+ * chrome.storage.local.
+ * @param {string} genre - Genre name (normalized through genreMapping.js)
+ * @returns {Promise<string[]>} - Genre QIDs, empty when none match
  */
-function getGenreQid(genre) {
-  if (!genre) return null;
-  
-  const genreLower = genre.toLowerCase().trim();
-  
-  // Common genre mappings to Wikidata QIDs
-  const genreMap = {
-    "science fiction": "Q24925",
-    "sci-fi": "Q24925",
-    "science-fiction": "Q24925",
-    "drama": "Q130232",
-    "comedy": "Q157443",
-    "action": "Q319221",
-    "fantasy": "Q157394",
-    "horror": "Q200092",
-    "thriller": "Q2484376",
-    "romance": "Q1054574",
-    "mystery": "Q1145523",
-    "crime": "Q83267",
-    "adventure": "Q319221",
-    "animation": "Q157443"
-  };
-  
-  return genreMap[genreLower] || null;
+export async function resolveGenreQids(genre) {
+  if (!genre || !genre.trim()) return [];
+  const key = normalizeGenre(genre).toLowerCase();
+
+  const cached = await getCachedGenreQids(key);
+  if (cached) return cached;
+
+  const labels = getGenreLabelCandidates(genre);
+  const query = `
+    SELECT DISTINCT ?genre WHERE {
+      VALUES ?label { ${labels.map(label => JSON.stringify(label) + "@en").join(" ")} }
+      VALUES ?class { ${GENRE_CLASSES.map(qid => `wd:${qid}`).join(" ")} }
+      ?genre rdfs:label|skos:altLabel ?label .
+      ?genre wdt:${PROPERTIES.instanceOf}/wdt:P279* ?class .
+    }
+    LIMIT 20
+  `;
+
+  const data = await runSparqlQuery(query);
+  // A failed query is not cached
+  if (!data) return [];
+
+  const qids = (data.results?.bindings || [])
+    .map(binding => getEntityId(binding.genre?.value))
+    .filter(qid => /^Q\d+$/.test(qid));
+  await setCachedGenreQids(key, qids);
+  return qids;
 }
 
 /**
@@ -136,26 +240,400 @@ function parseWikidataResults(data, contentTypes) {
     else if (typeId === CONTENT_TYPES.anime) contentType = "anime";
     else if (typeId === CONTENT_TYPES.movies) contentType = "movies";
 
+    const tmdbMovie = binding.tmdbMovieId?.value;
+    const tmdbTv = binding.tmdbTvId?.value;
+
     return {
       wikidataId: itemId,
       name: itemLabel,
       contentType: contentType,
       tvmazeId: binding.tvmazeId?.value || null,
       malId: binding.malId?.value || null,
-      imdbId: binding.imdbId?.value || null
+      imdbId: binding.imdbId?.value || null,
+      image: getPosterUrl(binding.image?.value),
+      releaseDate: (binding.releaseDate?.value || "").slice(0, 10) || null,
+      externalIds: {
+        wikidata: itemId,
+        imdb: binding.imdbId?.value || null,
+        tvmaze: binding.tvmazeId?.value || null,
+        mal: binding.malId?.value || null,
+        thetvdb: binding.thetvdbId?.value || null,
+        tmdb: tmdbMovie ? `movie/${tmdbMovie}` : tmdbTv ? `tv/${tmdbTv}` : null
+      }
     };
   }).filter(item => contentTypes.includes(item.contentType));
 }
 
 /**
- * Search Wikidata by title (fallback method)
+ * Search Wikidata by title: wbsearchentities finds candidate items, then a
+ * SPARQL query keeps the films, series and anime among them
  * @param {string} title - Title to search
  * @param {string[]} contentTypes - Content types to filter
- * @returns {Promise<Array>} - Search results
+ * @returns {Promise<Array>} - Items shaped like queryByGenre results, in
+ *   search relevance order
  */
 export async function searchByTitle(title, contentTypes = ["tv", "anime", "movies"]) {
-  // This is a simplified search - Wikidata search API would be better
-  // For now, return empty and rely on direct API searches
-  return [];
+  const trimmed = (title || "").trim();
+  const typeIds = contentTypes.map(type => CONTENT_TYPES[type]).filter(Boolean);
+  if (!trimmed || !typeIds.length) return [];
+
+  try {
+    const params = new URLSearchParams({
+      action: "wbsearchentities",
+      search: trimmed,
+      language: "en",
+      uselang: "en",
+      type: "item",
+      limit: "20",
+      format: "json",
+      origin: "*"
+    });
+    const response = await httpFetch(`${WIKIDATA_API_ENDPOINT}?${params}`, { ttlMs: QUERY_CACHE_TTL_MS });
+    if (!response.ok) {
+      console.error("Wikidata title search failed", response.status);
+      return [];
+    }
+    const json = await response.json();
+    const qids = (json.search || []).map(entity => entity.id).filter(id => /^Q\d+$/.test(id));
+    if (!qids.length) return [];
+
+    // One row per item and matching content type; an anime film matches both
+    // anime and film
+    const query = `
+      SELECT ?item ?itemLabel ?type (SAMPLE(?imageFile) AS ?image) (MIN(?date) AS ?releaseDate)
+             (SAMPLE(?imdb) AS ?imdbId) (SAMPLE(?tvmaze) AS ?tvmazeId) (SAMPLE(?mal) AS ?malId)
+             (SAMPLE(?thetvdb) AS ?thetvdbId) (SAMPLE(?tmdbMovie) AS ?tmdbMovieId)
+             (SAMPLE(?tmdbTv) AS ?tmdbTvId) WHERE {
+        VALUES ?item { ${qids.map(qid => `wd:${qid}`).join(" ")} }
+        VALUES ?type { ${typeIds.map(id => `wd:${id}`).join(" ")} }
+        ?item wdt:${PROPERTIES.instanceOf}/wdt:P279* ?type .
+        OPTIONAL { ?item wdt:${PROPERTIES.image} ?imageFile }
+        OPTIONAL { ?item wdt:${PROPERTIES.publicationDate} ?date }
+        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdb }
+        OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmaze }
+        OPTIONAL { ?item wdt:${PROPERTIES.malId} ?mal }
+        OPTIONAL { ?item wdt:${PROPERTIES.thetvdbId} ?thetvdb }
+        OPTIONAL { ?item wdt:${PROPERTIES.tmdbMovieId} ?tmdbMovie }
+        OPTIONAL { ?item wdt:${PROPERTIES.tmdbTvId} ?tmdbTv }
+        SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+      }
+      GROUP BY ?item ?itemLabel ?type
+    `;
+
+    const data = await runSparqlQuery(query);
+    if (!data) return [];
+
+    // Anime is the most specific type, so it wins over series and film
+    const typeRank = (item) => ["anime", "tv", "movies"].indexOf(item.contentType);
+    const byQid = new Map();
+    for (const item of parseWikidataResults(data, contentTypes)) {
+      const known = byQid.get(item.wikidataId);
+      if (!known || typeRank(item) < typeRank(known)) byQid.set(item.wikidataId, item);
+    }
+
+    return qids
+      .map(qid => byQid.get(qid))
+      // Items without an English label come back labelled with their QID
+      .filter(item => item && item.name !== item.wikidataId);
+  } catch (err) {
+    console.error("Error searching Wikidata by title:", err);
+    return [];
+  }
+}
+
+// Commons file URL -> thumbnail of it
+function getPosterUrl(fileUrl) {
+  if (!fileUrl) return null;
+  return `${fileUrl.replace(/^http:/, "https:")}?width=${POSTER_WIDTH}`;
+}
+
+function getEntityId(uri) {
+  return (uri || "").split("/").pop() || "";
+}
+
+// Release type from the distribution-format qualifier's label. A release
+// without one is the ordinary (theatrical) release.
+function classifyRelease(formatLabel) {
+  const label = (formatLabel || "").toLowerCase();
+  if (!label || label.includes("theatrical") || label.includes("cinema")) return "theatrical";
+  if (/dvd|blu-ray|vhs|home video|laserdisc|4k ultra hd/.test(label)) return "physical";
+  if (/video on demand|streaming|digital|download|internet|television/.test(label)) return "digital";
+  return "theatrical";
+}
+
+// Two-letter region of the browser locale, e.g. "en-GB" -> "GB"
+function getUserRegion() {
+  const locale = typeof navigator !== "undefined" ? navigator.language || "" : "";
+  const region = locale.split("-")[1];
+  return region && region.length === 2 ? region.toUpperCase() : null;
+}
+
+// Pick one date per release type: the user's region first, then releases
+// without a region (worldwide), then the earliest anywhere
+function pickReleaseDates(entries, region) {
+  const picked = {};
+  for (const type of RELEASE_TYPES) {
+    const candidates = entries
+      .filter(entry => entry.type === type)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    picked[type] =
+      candidates.find(entry => region && entry.region === region) ||
+      candidates.find(entry => !entry.region) ||
+      candidates[0] ||
+      null;
+  }
+  return picked;
+}
+
+/**
+ * Fetch theatrical, digital and physical release dates for films from their
+ * publication date (P577) statements and place/format qualifiers
+ * @param {string[]} qids - Wikidata item IDs (e.g. "Q123")
+ * @returns {Promise<Object>} - Map of QID -> { theatrical, digital, physical },
+ *   each { date: "YYYY-MM-DD", precision: "day"|"month"|"year", region } or null
+ */
+export async function fetchMovieReleaseDates(qids) {
+  const ids = [...new Set(qids.filter(qid => /^Q\d+$/.test(qid)))];
+  if (!ids.length) return {};
+
+  try {
+    const query = `
+      SELECT ?item ?date ?precision ?placeCode ?formatLabel WHERE {
+        VALUES ?item { ${ids.map(qid => `wd:${qid}`).join(" ")} }
+        ?item p:${PROPERTIES.publicationDate} ?statement .
+        FILTER NOT EXISTS { ?statement wikibase:rank wikibase:DeprecatedRank }
+        ?statement psv:${PROPERTIES.publicationDate} ?dateNode .
+        ?dateNode wikibase:timeValue ?date ;
+                  wikibase:timePrecision ?precision .
+        OPTIONAL {
+          ?statement pq:${PROPERTIES.placeOfPublication} ?place .
+          ?place wdt:${PROPERTIES.countryCode} ?placeCode .
+        }
+        OPTIONAL {
+          ?statement pq:${PROPERTIES.distributionFormat} ?format .
+          ?format rdfs:label ?formatLabel .
+          FILTER(LANG(?formatLabel) = "en")
+        }
+      }
+    `;
+
+    const data = await runSparqlQuery(query);
+    const bindings = data?.results?.bindings || [];
+
+    const entriesByQid = {};
+    for (const binding of bindings) {
+      const qid = getEntityId(binding.item?.value);
+      const precision = TIME_PRECISION[Number(binding.precision?.value)];
+      const date = (binding.date?.value || "").slice(0, 10);
+      if (!qid || !precision || !/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
+
+      (entriesByQid[qid] = entriesByQid[qid] || []).push({
+        type: classifyRelease(binding.formatLabel?.value),
+        date,
+        precision,
+        region: binding.placeCode?.value || null
+      });
+    }
+
+    const region = getUserRegion();
+    const result = {};
+    for (const qid of ids) {
+      result[qid] = pickReleaseDates(entriesByQid[qid] || [], region);
+    }
+    return result;
+  } catch (err) {
+    console.error("Error fetching movie release dates:", err);
+    return {};
+  }
+}
+
+/**
+ * Next upcoming release of a film, as a countdown target. Only day-precision
+ * dates count; "2027" alone is not something to count down to.
+ * @param {Object} releaseDates - Result entry of fetchMovieReleaseDates
+ * @returns {{type: string, date: string, airstamp: string}|null}
+ */
+export function computeNextRelease(releaseDates) {
+  const now = Date.now();
+  let next = null;
+
+  for (const type of RELEASE_TYPES) {
+    const release = releaseDates?.[type];
+    if (!release || release.precision !== "day") continue;
+    const [year, month, day] = release.date.split("-").map(Number);
+    // Release days start at local midnight
+    const airTime = new Date(year, month - 1, day).getTime();
+    if (airTime > now && (!next || airTime < Date.parse(next.airstamp))) {
+      next = { type, date: release.date, airstamp: new Date(airTime).toISOString() };
+    }
+  }
+
+  return next;
+}
+
+export function getMovieQid(show) {
+  const id = String(show?.id || "");
+  if (id.startsWith("wd-")) return id.slice(3);
+  return show?.wikidataId || null;
 }
 
+// Release-date lookups made in the same tick share one SPARQL query
+let releaseDateBatch = null;
+
+/**
+ * Release dates of one film, batched with other calls made in the same tick
+ * @param {string} qid - Wikidata item ID
+ * @returns {Promise<Object|null>} - Entry of fetchMovieReleaseDates
+ */
+export function loadMovieReleaseDates(qid) {
+  if (!releaseDateBatch) {
+    const batch = { qids: new Set() };
+    batch.promise = new Promise(resolve => setTimeout(resolve, 0)).then(() => {
+      releaseDateBatch = null;
+      return fetchMovieReleaseDates([...batch.qids]);
+    });
+    releaseDateBatch = batch;
+  }
+  releaseDateBatch.qids.add(qid);
+  return releaseDateBatch.promise.then(result => result[qid] || null);
+}
+
+/**
+ * Find a film by its IMDb ID or Wikidata QID
+ * @param {string} kind - "imdb" or "wikidata"
+ * @param {string} value - The ID
+ * @returns {Promise<Object|null>} - Item shaped like queryByGenre results
+ */
+export async function lookupMovieByExternalId(kind, value) {
+  let match;
+  if (kind === "imdb" && /^tt\d+$/.test(value)) {
+    match = `?item wdt:${PROPERTIES.imdbId} "${value}" .`;
+  } else if (kind === "wikidata" && /^Q\d+$/.test(value)) {
+    match = `VALUES ?item { wd:${value} }`;
+  } else {
+    return null;
+  }
+
+  try {
+    const query = `
+      SELECT ?item ?itemLabel (SAMPLE(?imdbId) AS ?imdb) WHERE {
+        ${match}
+        ?item wdt:${PROPERTIES.instanceOf}/wdt:P279* wd:${CONTENT_TYPES.movies} .
+        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
+        SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+      }
+      GROUP BY ?item ?itemLabel
+      LIMIT 1
+    `;
+
+    const data = await runSparqlQuery(query);
+    const binding = data?.results?.bindings?.[0];
+    if (!binding) return null;
+
+    return {
+      wikidataId: getEntityId(binding.item?.value),
+      name: binding.itemLabel?.value || "Unknown",
+      contentType: "movies",
+      tvmazeId: null,
+      malId: null,
+      imdbId: binding.imdb?.value || null
+    };
+  } catch (err) {
+    console.error("Error looking up movie:", err);
+    return null;
+  }
+}
+
+/**
+ * Cross-reference a title's ids through Wikidata, which links an item to its
+ * TVmaze, IMDb, MyAnimeList, TheTVDB and TMDb entries
+ * @param {Object} ids - Known ids: { wikidata, imdb, tvmaze, mal }
+ * @returns {Promise<Object|null>} - Every id found, TMDb as "movie/<id>" or "tv/<id>"
+ */
+export async function fetchWikidataExternalIds(ids) {
+  const patterns = [];
+  if (/^Q\d+$/.test(ids.wikidata || "")) patterns.push(`{ VALUES ?item { wd:${ids.wikidata} } }`);
+  if (/^tt\d+$/.test(ids.imdb || "")) patterns.push(`{ ?item wdt:${PROPERTIES.imdbId} "${ids.imdb}" }`);
+  if (/^\d+$/.test(ids.tvmaze || "")) patterns.push(`{ ?item wdt:${PROPERTIES.tvmazeId} "${ids.tvmaze}" }`);
+  if (/^\d+$/.test(ids.mal || "")) patterns.push(`{ ?item wdt:${PROPERTIES.malId} "${ids.mal}" }`);
+  if (!patterns.length) return null;
+
+  try {
+    const query = `
+      SELECT ?item ?imdb ?tvmaze ?mal ?thetvdb ?tmdbMovie ?tmdbTv WHERE {
+        ${patterns.join(" UNION ")}
+        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdb }
+        OPTIONAL { ?item wdt:${PROPERTIES.tvmazeId} ?tvmaze }
+        OPTIONAL { ?item wdt:${PROPERTIES.malId} ?mal }
+        OPTIONAL { ?item wdt:${PROPERTIES.thetvdbId} ?thetvdb }
+        OPTIONAL { ?item wdt:${PROPERTIES.tmdbMovieId} ?tmdbMovie }
+        OPTIONAL { ?item wdt:${PROPERTIES.tmdbTvId} ?tmdbTv }
+      }
+      LIMIT 1
+    `;
+
+    const data = await runSparqlQuery(query);
+    const binding = data?.results?.bindings?.[0];
+    if (!binding) return null;
+
+    const tmdbMovie = binding.tmdbMovie?.value;
+    const tmdbTv = binding.tmdbTv?.value;
+    return {
+      wikidata: getEntityId(binding.item?.value),
+      imdb: binding.imdb?.value || null,
+      tvmaze: binding.tvmaze?.value || null,
+      mal: binding.mal?.value || null,
+      thetvdb: binding.thetvdb?.value || null,
+      tmdb: tmdbMovie ? `movie/${tmdbMovie}` : tmdbTv ? `tv/${tmdbTv}` : null
+    };
+  } catch (err) {
+    console.error("Error cross-referencing ids on Wikidata:", err);
+    return null;
+  }
+}
+
+/**
+ * Films with a release date in the coming weeks, soonest first
+ * @param {number} limit - Maximum results
+ * @param {number} days - How far ahead to look
+ * @returns {Promise<Array>} - Items shaped like queryByGenre results, plus releaseDate
+ */
+export async function fetchUpcomingMovies(limit = 20, days = 60) {
+  try {
+    const start = new Date();
+    start.setUTCHours(0, 0, 0, 0);
+    const end = new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+
+    const query = `
+      SELECT ?item ?itemLabel (MIN(?date) AS ?releaseDate) (SAMPLE(?imdbId) AS ?imdb) WHERE {
+        ?item wdt:${PROPERTIES.instanceOf} wd:${CONTENT_TYPES.movies} ;
+              wdt:${PROPERTIES.publicationDate} ?date .
+        FILTER(?date >= "${start.toISOString()}"^^xsd:dateTime && ?date < "${end.toISOString()}"^^xsd:dateTime)
+        OPTIONAL { ?item wdt:${PROPERTIES.imdbId} ?imdbId } .
+        SERVICE wikibase:label { bd:serviceParam wikibase:language "en" }
+      }
+      GROUP BY ?item ?itemLabel
+      ORDER BY ?releaseDate
+      LIMIT ${limit}
+    `;
+
+    const data = await runSparqlQuery(query);
+    const bindings = data?.results?.bindings || [];
+
+    return bindings
+      .map(binding => ({
+        wikidataId: getEntityId(binding.item?.value),
+        name: binding.itemLabel?.value || "Unknown",
+        contentType: "movies",
+        tvmazeId: null,
+        malId: null,
+        imdbId: binding.imdb?.value || null,
+        releaseDate: (binding.releaseDate?.value || "").slice(0, 10) || null
+      }))
+      // Items without an English label come back labelled with their QID
+      .filter(item => item.wikidataId && item.name !== item.wikidataId);
+  } catch (err) {
+    console.error("Error fetching upcoming movies:", err);
+    return [];
+  }
+}